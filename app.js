@@ -2,14 +2,41 @@
 class CashBookApp {
     constructor() {
         this.currentUser = null;
+        // Set while the owner reads a client's books: { token, owner }
+        this.supportView = null;
         this.API_BASE = 'https://cashbook-pro-system.onrender.com/';
         this.moneyExchangerData = {
             owners: [],
             customers: {},
             transactions: [],
-            ownerBalance: 0
+            partnerBalances: {},
+            todayTransactionsCount: 0,
+            version: 0
         };
+        this.partners = [];
+        this.customerDirectory = [];
+        this.editingCustomerId = null;
+        this.pendingLedgerEntry = null;
+        this.rates = [];
+        this.till = { current: null, history: [] };
+        this.denominations = {};
+        this.transactionsPage = 1;
+        this.transactionsPages = 1;
         this.editingTransactionId = null;
+        this.lastIntegrityReport = null;
+        this.auditActions = {};
+        this.ownerClients = [];
+        this.invoices = [];
+        this.paymentClaims = [];
+        this.notifications = [];
+        this.claimQueue = [];
+        this.plans = [];
+        this.trialDays = 0;
+        this.ownerPlans = [];
+        this.coupons = [];
+        this.ownerStats = null;
+        this.paymentMethods = {};
+        this.auditPages = { owner: { page: 1, pages: 1 }, client: { page: 1, pages: 1 } };
         this.debugMode = false;
         this.init();
     }
@@ -45,15 +72,25 @@ class CashBookApp {
     }
     
     // API Helper Methods
-    async apiCall(endpoint, method = 'GET', data = null) {
+    // Errors are shown as a toast unless `silent` is set, for callers that handle them
+    async apiCall(endpoint, method = 'GET', data = null, headers = {}, { silent = false } = {}) {
         const options = {
             method,
             headers: {
                 'Content-Type': 'application/json',
+                ...headers
             },
         };
         
-        const token = localStorage.getItem('cashbook_token');
+        // The support view reads with the client's read-only token and never writes
+        if (this.supportView && method !== 'GET') {
+            const error = new Error('Support view is read-only');
+            error.status = 403;
+            this.showToast('Error', error.message, 'error');
+            throw error;
+        }
+        
+        const token = this.supportView ? this.supportView.token : localStorage.getItem('cashbook_token');
         if (token) {
             options.headers.Authorization = `Bearer ${token}`;
         }
@@ -68,12 +105,17 @@ class CashBookApp {
             const result = await response.json();
             
             if (!response.ok) {
-                throw new Error(result.message || 'API request failed');
+                const error = new Error(result.message || 'API request failed');
+                error.status = response.status;
+                error.data = result;
+                throw error;
             }
             
             return result;
         } catch (error) {
-            this.showToast('Error', error.message, 'error');
+            if (!silent) {
+                this.showToast('Error', error.message, 'error');
+            }
             throw error;
         } finally {
             this.hideLoading();
@@ -128,7 +170,7 @@ class CashBookApp {
             
             this.showToast('Success', result.message, 'success');
             this.updateUserData();
-            this.showPaymentPage();
+            this.showDashboard();
         } catch (error) {
             // Error already shown by apiCall
         }
@@ -174,6 +216,7 @@ class CashBookApp {
         localStorage.removeItem('cashbook_token');
         localStorage.removeItem('cashbook_user');
         this.currentUser = null;
+        this.supportView = null;
         this.showLogin();
         this.showToast('Info', 'Logged out successfully', 'info');
     }
@@ -201,10 +244,15 @@ class CashBookApp {
     
     showRegister() {
         this.showPage('register-page');
+        this.loadPlans();
     }
     
     showPaymentPage() {
         this.updatePaymentPage();
+        this.loadPlans();
+        this.loadInvoices();
+        this.loadPaymentClaims();
+        this.loadNotifications();
         this.showPage('payment-page');
     }
     
@@ -213,13 +261,19 @@ class CashBookApp {
             this.loadOwnerDashboard();
             this.showPage('owner-dashboard');
         } else {
-            if (this.currentUser.accountStatus !== 'active') {
+            const subscription = this.currentUser.subscription;
+            if (!this.supportView && (this.currentUser.accountStatus !== 'active' || (subscription && subscription.state === 'expired'))) {
                 this.showPaymentPage();
             } else {
                 // Show Money Exchanger System directly
                 this.showPage('client-dashboard');
-                this.loadMoneyExchangerData();
-                this.updateMoneyExchangerUI();
+                this.updateSupportViewBanner();
+                this.updateSubscriptionBanner();
+                this.loadNotifications();
+                this.loadInvoices();
+                this.loadMoneyExchangerData().then(() => this.updateMoneyExchangerUI());
+                this.loadProfitSummary();
+                this.loadAuditEvents('client');
             }
         }
     }
@@ -227,11 +281,18 @@ class CashBookApp {
     // Dashboard Loading Methods
     async loadOwnerDashboard() {
         try {
-            const stats = await this.apiCall('/api/owner/stats');
-            this.updateOwnerStats(stats);
+            await this.loadOwnerStats();
             
             const clients = await this.apiCall('/api/owner/clients');
+            this.ownerClients = clients;
             this.updateClientsTable(clients);
+            this.populateAuditClients(clients);
+            this.loadAuditEvents('owner');
+            this.loadPlatformSettings();
+            this.loadPayments();
+            this.loadClaimQueue();
+            this.loadOwnerPlans();
+            this.loadCoupons();
         } catch (error) {
             console.error('Failed to load owner dashboard:', error);
         }
@@ -240,7 +301,8 @@ class CashBookApp {
     // Data Update Methods
     updateUserData() {
         if (this.currentUser) {
-            const userInfo = `${this.currentUser.fullName} (${this.currentUser.role.charAt(0).toUpperCase() + this.currentUser.role.slice(1)})`;
+            const role = this.supportView ? 'Support View' : this.currentUser.role.charAt(0).toUpperCase() + this.currentUser.role.slice(1);
+            const userInfo = `${this.currentUser.fullName} (${role})`;
             document.getElementById('user-info').textContent = userInfo;
             
             const adminBtn = document.getElementById('admin-settings-btn');
@@ -254,6 +316,18 @@ class CashBookApp {
         }
     }
     
+    async loadOwnerStats() {
+        const monthsSelect = document.getElementById('revenue-months');
+        const query = new URLSearchParams({
+            months: monthsSelect ? monthsSelect.value : 12,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        }).toString();
+        
+        const stats = await this.apiCall(`/api/owner/stats?${query}`);
+        this.ownerStats = stats;
+        this.updateOwnerStats(stats);
+    }
+    
     updateOwnerStats(stats) {
         const totalClientsEl = document.getElementById('total-clients');
         if (totalClientsEl) totalClientsEl.textContent = stats.totalClients || 0;
@@ -266,18 +340,304 @@ class CashBookApp {
         
         const monthlyRevenueEl = document.getElementById('monthly-revenue');
         if (monthlyRevenueEl) monthlyRevenueEl.textContent = `$${stats.monthlyRevenue || 0}`;
+        
+        const mrrEl = document.getElementById('mrr');
+        if (mrrEl) mrrEl.textContent = `$${stats.mrr || 0}`;
+        
+        const renewalsEl = document.getElementById('upcoming-renewals');
+        if (renewalsEl) renewalsEl.textContent = `${stats.renewals.next7Days} / ${stats.renewals.next30Days}`;
+        
+        const overdueEl = document.getElementById('overdue-accounts');
+        if (overdueEl) overdueEl.textContent = stats.overdue.length;
+        
+        this.displayRevenue(stats);
+    }
+    
+    // Draws one column per entry; each bar is { value, className } and is scaled to the
+    // largest value in the chart
+    renderTrendChart(containerId, columns) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        const max = Math.max(0, ...columns.flatMap(column => column.bars.map(bar => bar.value)));
+        container.innerHTML = columns.map(column => `
+            <div class="trend-column">
+                <div class="trend-bars">
+                    ${column.bars.map(bar => `
+                        <div class="trend-bar ${bar.className || ''}"
+                             style="height: ${max > 0 ? (bar.value / max) * 100 : 0}%"
+                             title="${column.label}: ${bar.title}"></div>
+                    `).join('')}
+                </div>
+                <div>${column.label}</div>
+            </div>
+        `).join('');
+    }
+    
+    formatMonth(month) {
+        const [year, monthIndex] = month.split('-').map(Number);
+        return new Date(year, monthIndex - 1, 1).toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+    }
+    
+    displayRevenue(stats) {
+        this.renderTrendChart('revenue-chart', stats.revenueByMonth.map(row => {
+            const usd = row.collected[stats.currency] || 0;
+            return {
+                label: this.formatMonth(row.month),
+                bars: [{ value: usd, title: `${stats.currency} ${this.formatAmount(usd)}` }]
+            };
+        }));
+        
+        this.renderTrendChart('clients-chart', stats.revenueByMonth.map(row => ({
+            label: this.formatMonth(row.month),
+            bars: [
+                { value: row.newClients, className: 'new', title: `${row.newClients} new` },
+                { value: row.churnedClients, className: 'churned', title: `${row.churnedClients} churned` }
+            ]
+        })));
+        
+        const renewalsTbody = document.getElementById('renewals-tbody');
+        if (renewalsTbody) {
+            renewalsTbody.innerHTML = stats.renewals.clients.length === 0 ?
+                '<tr><td colspan="4" style="text-align: center; color: #64748b;">No renewals due in the next 30 days</td></tr>' :
+                stats.renewals.clients.map(client => `
+                    <tr>
+                        <td>${client.name}<div style="font-size: 0.75rem; color: #64748b;">${client.email}</div></td>
+                        <td>${client.plan || '-'}</td>
+                        <td>${new Date(client.subscriptionEnd).toLocaleDateString()}</td>
+                        <td>${client.daysLeft}</td>
+                    </tr>
+                `).join('');
+        }
+        
+        const overdueTbody = document.getElementById('overdue-tbody');
+        if (overdueTbody) {
+            overdueTbody.innerHTML = stats.overdue.length === 0 ?
+                '<tr><td colspan="5" style="text-align: center; color: #64748b;">No overdue accounts</td></tr>' :
+                stats.overdue.map(client => `
+                    <tr>
+                        <td>${client.name}<div style="font-size: 0.75rem; color: #64748b;">${client.email}</div></td>
+                        <td>${client.plan || '-'}</td>
+                        <td><span class="status-badge ${client.accountStatus === 'expired' ? 'expired' : 'warning'}">${client.accountStatus === 'expired' ? 'Expired' : 'Grace period'}</span></td>
+                        <td>${client.subscriptionEnd ? new Date(client.subscriptionEnd).toLocaleDateString() : 'N/A'}</td>
+                        <td>${client.daysOverdue ?? '-'}</td>
+                    </tr>
+                `).join('');
+        }
+    }
+    
+    // Monthly revenue and client movement, then the renewals and overdue lists
+    exportRevenueCSV() {
+        const stats = this.ownerStats;
+        if (!stats) return;
+        
+        const currencies = [...new Set(stats.revenueByMonth.flatMap(row => Object.keys(row.collected)))].sort();
+        const rows = [
+            ['Month', ...currencies.map(currency => `Collected ${currency}`), 'Payments', 'New Clients', 'Churned Clients'],
+            ...stats.revenueByMonth.map(row => [
+                row.month,
+                ...currencies.map(currency => row.collected[currency] || 0),
+                row.payments,
+                row.newClients,
+                row.churnedClients
+            ]),
+            [],
+            ['Monthly Recurring Revenue', stats.mrr, stats.currency],
+            [],
+            ['Upcoming Renewals', 'Email', 'Plan', 'Renews', 'Days Left'],
+            ...stats.renewals.clients.map(client => [
+                client.name, client.email, client.plan || '', client.subscriptionEnd.split('T')[0], client.daysLeft
+            ]),
+            [],
+            ['Overdue Accounts', 'Email', 'Plan', 'Status', 'Expired', 'Days Overdue'],
+            ...stats.overdue.map(client => [
+                client.name, client.email, client.plan || '', client.accountStatus,
+                client.subscriptionEnd ? client.subscriptionEnd.split('T')[0] : '', client.daysOverdue ?? ''
+            ])
+        ];
+        
+        const csv = rows.map(row => row.map(value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\n');
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        link.download = `CashBook_Revenue_${new Date().toISOString().split('T')[0]}.csv`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        this.showToast('Success', 'Revenue CSV exported successfully', 'success');
     }
     
     updatePaymentPage() {
     if (!this.currentUser) return;
     
+    const subscription = this.currentUser.subscription;
+    const status = subscription && subscription.state === 'expired' ? 'expired' : this.currentUser.accountStatus;
     const statusBadge = document.getElementById('account-status-badge');
     if (statusBadge) {
-        statusBadge.textContent = this.currentUser.accountStatus.charAt(0).toUpperCase() + this.currentUser.accountStatus.slice(1);
-        statusBadge.className = `status-badge ${this.currentUser.accountStatus}`;
+        statusBadge.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+        statusBadge.className = `status-badge ${status}`;
+    }
+    
+    // The latest payment claim takes over the badge until it is approved
+    const claim = this.paymentClaims[0];
+    const claimStatusEl = document.getElementById('payment-claim-status');
+    if (claimStatusEl) claimStatusEl.classList.add('hidden');
+    if (claim && claim.status !== 'approved') {
+        const submitted = new Date(claim.createdAt).toLocaleString();
+        if (statusBadge) {
+            statusBadge.textContent = claim.status === 'pending' ? 'Payment Under Review' : 'Payment Rejected';
+            statusBadge.className = `status-badge ${claim.status === 'pending' ? 'info' : 'error'}`;
+        }
+        if (claimStatusEl) {
+            claimStatusEl.textContent = claim.status === 'pending' ?
+                `Your payment of ${claim.currency} ${this.formatAmount(claim.amount)} (reference ${claim.reference}) submitted on ${submitted} is being checked.` :
+                `Your payment with reference ${claim.reference} was rejected: ${claim.rejectionReason}. Please check the details and submit it again.`;
+            claimStatusEl.classList.remove('hidden');
+        }
+    }
+    
+    const overdueEl = document.getElementById('payment-overdue');
+    if (overdueEl) {
+        const overdue = this.describeOverdue(subscription);
+        overdueEl.textContent = overdue;
+        overdueEl.classList.toggle('hidden', !overdue);
     }
 }
 
+    async loadPaymentClaims() {
+        if (!this.currentUser || this.currentUser.role !== 'client') return;
+        
+        try {
+            const result = await this.apiCall('/api/payment-claims');
+            this.paymentClaims = result.claims;
+            this.updatePaymentPage();
+        } catch (error) {
+            console.error('Failed to load payment claims:', error);
+        }
+    }
+    
+    readFileAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+    
+    async submitPaymentClaim() {
+        const claim = {
+            amount: document.getElementById('claim-amount').value,
+            currency: document.getElementById('claim-currency').value,
+            planId: document.getElementById('claim-plan').value,
+            couponCode: document.getElementById('claim-coupon').value.trim(),
+            senderNumber: document.getElementById('claim-sender').value.trim(),
+            reference: document.getElementById('claim-reference').value.trim()
+        };
+        
+        const file = document.getElementById('claim-screenshot').files[0];
+        if (file) {
+            if (file.size > 2 * 1024 * 1024) {
+                this.showToast('Error', 'The screenshot must be smaller than 2 MB', 'error');
+                return;
+            }
+            claim.screenshot = await this.readFileAsDataURL(file);
+        }
+        
+        try {
+            const result = await this.apiCall('/api/payment-claims', 'POST', claim);
+            this.showToast('Success', result.message, 'success');
+            document.getElementById('payment-claim-form').reset();
+            document.getElementById('claim-amount-due').textContent = '';
+            this.fillPlanSelect('claim-plan', this.plans, this.currentUser.plan);
+            this.loadPaymentClaims();
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    // "Your subscription expired on <date>, N day(s) overdue", or '' when it has not expired
+    describeOverdue(subscription) {
+        if (!subscription || !subscription.subscriptionEnd || !['grace', 'expired'].includes(subscription.state)) {
+            return '';
+        }
+        const expiredOn = new Date(subscription.subscriptionEnd).toLocaleDateString();
+        const overdue = subscription.daysOverdue === 0 ? 'expired today' :
+            `${subscription.daysOverdue} day${subscription.daysOverdue === 1 ? '' : 's'} overdue`;
+        return `Your subscription expired on ${expiredOn}, ${overdue}.`;
+    }
+    
+    // During the grace period the books stay readable but every change is refused
+    updateSubscriptionBanner() {
+        const banner = document.getElementById('subscription-banner');
+        if (!banner) return;
+        
+        const subscription = this.currentUser.subscription;
+        const readOnly = Boolean(subscription && subscription.readOnly);
+        banner.classList.toggle('hidden', !readOnly);
+        if (readOnly) {
+            const graceEnds = new Date(subscription.graceEndsAt).toLocaleDateString();
+            document.getElementById('subscription-banner-text').textContent =
+                `${this.describeOverdue(subscription)} Your account is read-only until payment is received and will be closed on ${graceEnds}.`;
+        }
+    }
+    
+    updateSupportViewBanner() {
+        const banner = document.getElementById('support-view-banner');
+        if (!banner) return;
+        
+        banner.classList.toggle('hidden', !this.supportView);
+        if (this.supportView) {
+            document.getElementById('support-view-text').textContent =
+                `You are viewing ${this.currentUser.businessName || this.currentUser.fullName}'s books as support. Nothing can be changed.`;
+        }
+    }
+    
+    // Notices from the platform owner about changes made to the account
+    async loadNotifications() {
+        if (!this.currentUser || this.currentUser.role !== 'client') return;
+        
+        try {
+            const result = await this.apiCall('/api/notifications');
+            this.notifications = result.notifications;
+            this.displayNotifications();
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+        }
+    }
+    
+    // Shown on both the dashboard and the payment page, where suspended clients land
+    displayNotifications() {
+        const html = this.notifications.map(notification => `
+            <div class="client-notice">
+                <div>
+                    <h4>${this.escapeHtml(notification.title)}</h4>
+                    <p>${this.escapeHtml(notification.message)}</p>
+                    ${notification.reason ? `<p>Reason: ${this.escapeHtml(notification.reason)}</p>` : ''}
+                    <p>${new Date(notification.createdAt).toLocaleString()}</p>
+                </div>
+                <button class="btn-action btn-secondary" onclick="app.dismissNotification('${notification._id}')">Dismiss</button>
+            </div>
+        `).join('');
+        
+        ['client-notices', 'payment-notices'].forEach(id => {
+            const container = document.getElementById(id);
+            if (container) container.innerHTML = html;
+        });
+    }
+    
+    async dismissNotification(notificationId) {
+        try {
+            await this.apiCall(`/api/notifications/${notificationId}/read`, 'POST');
+            this.notifications = this.notifications.filter(n => n._id !== notificationId);
+            this.displayNotifications();
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+
 
     
 updateClientsTable(clients) {
@@ -311,6 +671,7 @@ updateClientsTable(clients) {
                 </span>
             </td>
             <td>
+                <div>${client.plan ? client.plan.name : 'No plan'}${client.trialEndsAt && !client.lastPayment ? ' (trial)' : ''}</div>
                 <div>Expires: ${client.subscriptionEnd ? new Date(client.subscriptionEnd).toLocaleDateString() : 'N/A'}</div>
                 <div style="font-size: 0.75rem; color: #64748b;">
                     ${this.getDaysRemainingForClient(client.subscriptionEnd)} remaining
@@ -321,10 +682,19 @@ updateClientsTable(clients) {
             </td>
             <td>
                 <div class="action-buttons">
-                    ${client.accountStatus === 'pending' ? 
-                        `<button class="btn-action btn-verify" onclick="app.verifyPayment('${client._id}')">Verify</button>` : ''}
+                    ${['pending', 'expired'].includes(client.accountStatus) ? 
+                        `<button class="btn-action btn-verify" onclick="app.showRecordPayment('${client._id}')">Verify</button>` : ''}
                     ${client.accountStatus === 'active' ? 
-                        `<button class="btn-action btn-deactivate" onclick="app.suspendClient('${client._id}')">Suspend</button>` : ''}
+                        `<button class="btn-action btn-secondary" onclick="app.showRecordPayment('${client._id}')">Record Payment</button>
+                        <button class="btn-action btn-deactivate" onclick="app.showClientAction('${client._id}', 'suspend')">Suspend</button>` : ''}
+                    ${client.accountStatus === 'suspended' ? 
+                        `<button class="btn-action btn-verify" onclick="app.showClientAction('${client._id}', 'reactivate')">Reactivate</button>` : ''}
+                    <button class="btn-action btn-secondary" onclick="app.openSupportView('${client._id}')">View Books</button>
+                    <button class="btn-action btn-secondary" onclick="app.showClientAction('${client._id}', 'extend')">Extend</button>
+                    <button class="btn-action btn-secondary" onclick="app.showClientAction('${client._id}', 'plan')">Change Plan</button>
+                    <button class="btn-action btn-secondary" onclick="app.showClientAction('${client._id}', 'edit')">Edit</button>
+                    <button class="btn-action btn-secondary" onclick="app.showClientAction('${client._id}', 'password')">Reset Password</button>
+                    <button class="btn-action btn-delete" onclick="app.showClientAction('${client._id}', 'delete')">Delete</button>
                 </div>
             </td>
         `;
@@ -333,213 +703,2050 @@ updateClientsTable(clients) {
 }
     
     // Client Action Methods
-    async verifyPayment(clientId) {
+    showRecordPayment(clientId) {
+        const client = this.ownerClients.find(c => c._id === clientId);
+        if (!client) return;
+        
+        document.getElementById('record-payment-form').reset();
+        document.getElementById('payment-client-id').value = clientId;
+        document.getElementById('payment-client-name').value = `${client.businessName || client.fullName} (${client.email})`;
+        
+        // Retired plans are only offered to clients already on them
+        const clientPlanId = client.plan ? client.plan._id : null;
+        this.fillPlanSelect('payment-plan', this.ownerPlans.filter(plan => plan.active || plan._id === clientPlanId), clientPlanId);
+        document.getElementById('record-payment-modal').classList.remove('hidden');
+    }
+    
+    closeRecordPaymentModal() {
+        document.getElementById('record-payment-modal').classList.add('hidden');
+    }
+    
+    // Records the payment as an invoice; the server extends the subscription by one period of the plan
+    async verifyPayment() {
+        const clientId = document.getElementById('payment-client-id').value;
+        const payment = {
+            amount: document.getElementById('payment-amount').value,
+            currency: document.getElementById('payment-currency').value,
+            method: document.getElementById('payment-method').value,
+            reference: document.getElementById('payment-reference').value.trim(),
+            planId: document.getElementById('payment-plan').value,
+            couponCode: document.getElementById('payment-coupon').value.trim()
+        };
+        
+        if (payment.method === 'mobile_money' && !payment.reference) {
+            this.showToast('Error', 'Please enter the mobile-money reference', 'error');
+            return;
+        }
+        
         try {
-            await this.apiCall(`/api/owner/verify-payment/${clientId}`, 'POST');
-            this.showToast('Success', 'Payment verified and account activated', 'success');
+            const result = await this.postPayment(`/api/owner/verify-payment/${clientId}`, payment);
+            this.showToast('Success', result.message, 'success');
+            this.closeRecordPaymentModal();
             this.loadOwnerDashboard();
         } catch (error) {
             // Error already shown by apiCall
         }
     }
     
-    async suspendClient(clientId) {
-        if (confirm('Are you sure you want to suspend this client account?')) {
-            try {
-                await this.apiCall(`/api/owner/suspend/${clientId}`, 'POST');
-                this.showToast('Success', 'Client account suspended', 'success');
-                this.loadOwnerDashboard();
-            } catch (error) {
-                // Error already shown by apiCall
+    // The server refuses a payment that does not cover the plan's price or is in another
+    // currency; the owner can accept the difference and record it anyway
+    async postPayment(endpoint, payment) {
+        try {
+            return await this.apiCall(endpoint, 'POST', payment, {}, { silent: true });
+        } catch (error) {
+            if (!error.data || error.data.code !== 'amount_mismatch') {
+                this.showToast('Error', error.message, 'error');
+                throw error;
+            }
+            if (!confirm(`${error.message} Record it anyway?`)) {
+                throw error;
             }
+            return this.apiCall(endpoint, 'POST', { ...payment, acceptMismatch: true });
         }
     }
     
-    // Money Exchanger System Methods
-    async loadMoneyExchangerData() {
+    async loadClaimQueue() {
+        const statusFilter = document.getElementById('claim-status-filter');
+        const status = statusFilter ? statusFilter.value : 'pending';
+        
         try {
-            const response = await this.apiCall('/api/money-exchanger/data');
-            this.moneyExchangerData = response;
+            const result = await this.apiCall(`/api/owner/payment-claims?status=${status}`);
+            this.claimQueue = result.claims;
+            this.displayClaimQueue();
         } catch (error) {
-            console.error('Error loading Money Exchanger data:', error);
-            this.moneyExchangerData = {
-                owners: [this.currentUser.fullName],
-                customers: {},
-                transactions: [],
-                ownerBalance: 0
-            };
+            console.error('Failed to load payment claims:', error);
         }
     }
     
-    updateMoneyExchangerUI() {
-        const currentOwner = document.getElementById('current-owner');
-        const ownerBalance = document.getElementById('owner-balance');
-        const modalOwnerName = document.getElementById('modal-owner-name');
-        const modalOwnerBalance = document.getElementById('modal-owner-balance');
-        
-        if (currentOwner) {
-            currentOwner.textContent = this.currentUser.fullName;
-        }
+    displayClaimQueue() {
+        const tbody = document.getElementById('payment-claims-tbody');
+        if (!tbody) return;
         
-        if (ownerBalance) {
-            ownerBalance.textContent = this.moneyExchangerData.ownerBalance.toFixed(2);
+        if (this.claimQueue.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: #64748b;">No payment claims</td></tr>';
+            return;
         }
         
-        if (modalOwnerName) {
-            modalOwnerName.textContent = this.currentUser.fullName;
-        }
+        tbody.innerHTML = this.claimQueue.map(claim => {
+            const client = claim.client;
+            const review = claim.status === 'pending' ? `
+                <div class="action-buttons">
+                    <button class="btn-action btn-verify" onclick="app.approveClaim('${claim._id}')">Approve</button>
+                    <button class="btn-action btn-deactivate" onclick="app.rejectClaim('${claim._id}')">Reject</button>
+                </div>` : `
+                <span class="status-badge ${claim.status === 'approved' ? 'success' : 'error'}">${claim.status}</span>
+                <div style="font-size: 0.75rem; color: #64748b;">
+                    ${claim.reviewedBy ? claim.reviewedBy.username : ''} ${claim.reviewedAt ? new Date(claim.reviewedAt).toLocaleDateString() : ''}
+                    ${claim.rejectionReason ? `<br>${claim.rejectionReason}` : ''}
+                </div>`;
+            return `
+                <tr>
+                    <td>${new Date(claim.createdAt).toLocaleString()}</td>
+                    <td>
+                        <div>${client ? (client.businessName || client.fullName) : 'Deleted client'}</div>
+                        <div style="font-size: 0.75rem; color: #64748b;">${client ? client.email : ''}</div>
+                    </td>
+                    <td>
+                        ${claim.currency} ${this.formatAmount(claim.amount)}
+                        <div style="font-size: 0.75rem; color: #64748b;">
+                            ${claim.plan ? this.planLabel(claim.plan) : ''}${claim.couponCode ? `<br>Coupon ${this.escapeHtml(claim.couponCode)}` : ''}
+                        </div>
+                    </td>
+                    <td>${this.escapeHtml(claim.senderNumber)}</td>
+                    <td>${this.escapeHtml(claim.reference)}</td>
+                    <td>${claim.hasScreenshot ? `<button class="btn-action btn-secondary" onclick="app.viewClaimScreenshot('${claim._id}')">View</button>` : '-'}</td>
+                    <td>${review}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    async approveClaim(claimId) {
+        const claim = this.claimQueue.find(c => c._id === claimId);
+        if (!claim) return;
         
-        if (modalOwnerBalance) {
-            modalOwnerBalance.textContent = this.moneyExchangerData.ownerBalance.toFixed(2);
+        const client = claim.client ? (claim.client.businessName || claim.client.fullName) : 'this client';
+        const plan = claim.plan ? ` for the ${claim.plan.name} plan` : '';
+        if (!confirm(`Approve ${claim.currency} ${this.formatAmount(claim.amount)}${plan} from ${client}? Check that the payment with reference ${claim.reference} has arrived first.`)) {
+            return;
         }
         
-        this.updateAccountStatusUI();
-        this.updateOwnersList();
-        this.updateMoneyExchangerStats();
-        this.updateCustomersList();
-        
-        if (document.getElementById('all-transactions-tab')?.classList.contains('active')) {
-            this.displayMoneyExchangerTransactions();
+        try {
+            const result = await this.postPayment(`/api/owner/payment-claims/${claimId}/approve`, {});
+            this.showToast('Success', result.message, 'success');
+            this.loadOwnerDashboard();
+        } catch (error) {
+            this.loadClaimQueue();
         }
     }
     
-    updateAccountStatusUI() {
-        if (!this.currentUser) return;
-        
-        // Dashboard elements
-        const accountStatusEl = document.getElementById('account-status');
-        const expiryDateEl = document.getElementById('expiry-date');
-        
-        // Modal elements
-        const modalAccountStatusEl = document.getElementById('modal-account-status');
-        const modalExpiryDateEl = document.getElementById('modal-expiry-date');
-        
-        if (accountStatusEl) {
-            accountStatusEl.textContent = this.currentUser.accountStatus.charAt(0).toUpperCase() + 
-                                       this.currentUser.accountStatus.slice(1);
-            accountStatusEl.className = `status-badge ${this.currentUser.accountStatus}`;
+    async rejectClaim(claimId) {
+        const reason = prompt('Why is this payment being rejected? The client will see this reason.');
+        if (reason === null) return;
+        if (!reason.trim()) {
+            this.showToast('Error', 'Please give a reason for rejecting the payment', 'error');
+            return;
         }
         
-        if (expiryDateEl && this.currentUser.subscriptionEnd) {
-            expiryDateEl.textContent = new Date(this.currentUser.subscriptionEnd).toLocaleDateString();
+        try {
+            await this.apiCall(`/api/owner/payment-claims/${claimId}/reject`, 'POST', { reason: reason.trim() });
+            this.showToast('Success', 'Payment claim rejected', 'success');
+            this.loadClaimQueue();
+        } catch (error) {
+            this.loadClaimQueue();
         }
-        
-        if (modalAccountStatusEl) {
-            modalAccountStatusEl.textContent = this.currentUser.accountStatus.charAt(0).toUpperCase() + 
-                                            this.currentUser.accountStatus.slice(1);
-            modalAccountStatusEl.className = `status-badge ${this.currentUser.accountStatus}`;
+    }
+    
+    async viewClaimScreenshot(claimId) {
+        try {
+            const result = await this.apiCall(`/api/owner/payment-claims/${claimId}/screenshot`);
+            document.getElementById('claim-screenshot-image').src = result.screenshot;
+            document.getElementById('claim-screenshot-modal').classList.remove('hidden');
+        } catch (error) {
+            // Error already shown by apiCall
         }
-        
-        if (modalExpiryDateEl && this.currentUser.subscriptionEnd) {
-            modalExpiryDateEl.textContent = new Date(this.currentUser.subscriptionEnd).toLocaleDateString();
+    }
+    
+    closeClaimScreenshot() {
+        document.getElementById('claim-screenshot-modal').classList.add('hidden');
+        document.getElementById('claim-screenshot-image').removeAttribute('src');
+    }
+    
+    async loadPayments() {
+        try {
+            const result = await this.apiCall('/api/owner/payments');
+            this.paymentMethods = result.methods;
+            this.displayPayments(result.payments);
+        } catch (error) {
+            console.error('Failed to load payments:', error);
         }
     }
     
-    updateMoneyExchangerStats() {
-        const activeCustomersCount = document.getElementById('active-customers-count');
-        const todayTransactionsCount = document.getElementById('today-transactions-count');
-        const systemBalance = document.getElementById('system-balance');
+    displayPayments(payments) {
+        const tbody = document.getElementById('payments-tbody');
+        if (!tbody) return;
         
-        if (activeCustomersCount) {
-            activeCustomersCount.textContent = Object.keys(this.moneyExchangerData.customers).length;
+        if (payments.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: #64748b;">No payments recorded</td></tr>';
+            return;
         }
         
-        if (todayTransactionsCount) {
-            const today = new Date().toDateString();
-            const todayTransactions = this.moneyExchangerData.transactions.filter(
-                t => new Date(t.date).toDateString() === today
-            );
-            todayTransactionsCount.textContent = todayTransactions.length;
-        }
+        tbody.innerHTML = payments.map(payment => `
+            <tr>
+                <td>${payment.invoiceNumber}</td>
+                <td>${payment.client ? (payment.client.businessName || payment.client.fullName) : 'Deleted client'}</td>
+                <td>${new Date(payment.paidAt).toLocaleDateString()}</td>
+                <td>${payment.currency} ${this.formatAmount(payment.amount)}</td>
+                <td>${payment.planName || '-'}${payment.couponCode ? ` (${payment.couponCode})` : ''}<br>${this.paymentMethods[payment.method] || payment.method}</td>
+                <td>${payment.reference || '-'}</td>
+                <td>${this.formatInvoicePeriod(payment)}</td>
+            </tr>
+        `).join('');
+    }
+    
+    async loadInvoices() {
+        if (!this.currentUser || this.currentUser.role !== 'client') return;
         
-        if (systemBalance) {
-            systemBalance.textContent = `$${this.moneyExchangerData.ownerBalance.toFixed(2)}`;
+        try {
+            const result = await this.apiCall('/api/invoices');
+            this.invoices = result.invoices;
+            this.paymentMethods = result.methods;
+            this.displayInvoices();
+        } catch (error) {
+            console.error('Failed to load invoices:', error);
         }
     }
     
-    updateCustomersList() {
-        // Update the datalist for existing customers
-        const payerCustomersList = document.getElementById('payer-customers-list');
-        const payeeCustomersList = document.getElementById('payee-customers-list');
-        const geCustomerSelect = document.getElementById('ge-customer-select');
-        const adjustmentCustomerSelect = document.getElementById('adjustment-customer-select');
+    // The invoice history appears on both the dashboard and the payment page
+    displayInvoices() {
+        const rows = this.invoices.length === 0 ?
+            '<tr><td colspan="5" style="text-align: center; color: #64748b;">No invoices yet</td></tr>' :
+            this.invoices.map(invoice => `
+                <tr>
+                    <td>${invoice.invoiceNumber}</td>
+                    <td>${new Date(invoice.paidAt).toLocaleDateString()}</td>
+                    <td>${invoice.currency} ${this.formatAmount(invoice.amount)}</td>
+                    <td>${this.formatInvoicePeriod(invoice)}</td>
+                    <td><button class="btn-action btn-secondary" onclick="app.generateReceiptPDF('${invoice._id}')">PDF</button></td>
+                </tr>
+            `).join('');
+        
+        ['invoices-tbody', 'payment-invoices-tbody'].forEach(id => {
+            const tbody = document.getElementById(id);
+            if (tbody) tbody.innerHTML = rows;
+        });
+    }
+    
+    formatInvoicePeriod(invoice) {
+        return `${new Date(invoice.periodStart).toLocaleDateString()} - ${new Date(invoice.periodEnd).toLocaleDateString()}`;
+    }
+    
+    generateReceiptPDF(invoiceId) {
+        const invoice = this.invoices.find(i => i._id === invoiceId);
+        if (!invoice) return;
         
-        if (payerCustomersList) {
-            payerCustomersList.innerHTML = '';
-            Object.keys(this.moneyExchangerData.customers).forEach(customer => {
-                const option = document.createElement('option');
-                option.value = customer;
-                payerCustomersList.appendChild(option);
-            });
-        }
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF();
         
-        if (payeeCustomersList) {
-            payeeCustomersList.innerHTML = '';
-            Object.keys(this.moneyExchangerData.customers).forEach(customer => {
-                const option = document.createElement('option');
-                option.value = customer;
-                payeeCustomersList.appendChild(option);
-            });
+        doc.setFontSize(18);
+        doc.text('CashBook Pro', 105, 15, { align: 'center' });
+        doc.setFontSize(14);
+        doc.text('Payment Receipt', 105, 24, { align: 'center' });
+        
+        doc.setFontSize(11);
+        doc.text(`Invoice: ${invoice.invoiceNumber}`, 20, 40);
+        doc.text(`Date: ${new Date(invoice.paidAt).toLocaleString()}`, 20, 47);
+        doc.text(`Billed to: ${this.currentUser.businessName || this.currentUser.fullName}`, 20, 59);
+        doc.text(`Email: ${this.currentUser.email}`, 20, 66);
+        
+        doc.text('Description', 20, 82);
+        doc.text('Period', 80, 82);
+        doc.text('Amount', 160, 82);
+        doc.line(20, 85, 190, 85);
+        doc.text(`${invoice.planName || 'Subscription'}, ${invoice.months} month${invoice.months === 1 ? '' : 's'}`, 20, 93);
+        doc.text(this.formatInvoicePeriod(invoice), 80, 93);
+        doc.text(`${invoice.currency} ${this.formatAmount(invoice.amount)}`, 160, 93);
+        doc.line(20, 97, 190, 97);
+        
+        doc.text(`Total Paid: ${invoice.currency} ${this.formatAmount(invoice.amount)}`, 20, 109);
+        doc.text(`Payment Method: ${this.paymentMethods[invoice.method] || invoice.method}`, 20, 116);
+        if (invoice.reference) {
+            doc.text(`Reference: ${invoice.reference}`, 20, 123);
+        }
+        if (invoice.couponCode) {
+            doc.text(`Coupon ${invoice.couponCode}: ${this.formatAmount(invoice.discount)} off the plan price of ${this.formatAmount(invoice.listPrice)}`, 20, 130);
+        }
+        if (invoice.amountDue != null && (invoice.priceCurrency !== invoice.currency || invoice.amount < invoice.amountDue)) {
+            doc.text(`Plan price due: ${invoice.priceCurrency} ${this.formatAmount(invoice.amountDue)} (difference accepted)`, 20, 137);
         }
         
-        if (geCustomerSelect) {
-            geCustomerSelect.innerHTML = '<option value="">Select Customer</option>';
-            Object.keys(this.moneyExchangerData.customers).forEach(customer => {
-                const option = document.createElement('option');
-                option.value = customer;
-                option.textContent = customer;
-                geCustomerSelect.appendChild(option);
-            });
+        doc.save(`CashBook_Receipt_${invoice.invoiceNumber}.pdf`);
+        this.showToast('Success', 'Receipt PDF generated successfully', 'success');
+    }
+    
+    async loadPlatformSettings() {
+        try {
+            const settings = await this.apiCall('/api/owner/settings');
+            document.getElementById('grace-period-days').value = settings.gracePeriodDays;
+            document.getElementById('trial-days').value = settings.trialDays;
+        } catch (error) {
+            console.error('Failed to load platform settings:', error);
+        }
+    }
+    
+    async savePlatformSettings() {
+        const settings = {
+            gracePeriodDays: Number(document.getElementById('grace-period-days').value),
+            trialDays: Number(document.getElementById('trial-days').value)
+        };
+        if (!Object.values(settings).every(days => Number.isInteger(days) && days >= 0)) {
+            this.showToast('Error', 'Grace period and free trial must be whole numbers of days', 'error');
+            return;
         }
         
-        if (adjustmentCustomerSelect) {
-            adjustmentCustomerSelect.innerHTML = '<option value="">Select Customer</option>';
-            Object.keys(this.moneyExchangerData.customers).forEach(customer => {
-                const option = document.createElement('option');
-                option.value = customer;
-                option.textContent = customer;
-                adjustmentCustomerSelect.appendChild(option);
-            });
+        try {
+            await this.apiCall('/api/owner/settings', 'PUT', settings);
+            this.showToast('Success', `Grace period set to ${settings.gracePeriodDays} day(s), free trial to ${settings.trialDays} day(s)`, 'success');
+            this.loadOwnerDashboard();
+        } catch (error) {
+            // Error already shown by apiCall
         }
     }
     
-    openMoneyExchanger() {
-        const modal = document.getElementById('money-exchanger-modal');
-        if (modal) {
-            modal.classList.remove('hidden');
-            this.loadMoneyExchangerData();
-            this.updateMoneyExchangerUI();
+    // Plan Methods
+    planLabel(plan) {
+        return `${plan.name} - ${plan.currency} ${this.formatAmount(plan.price)} / ${plan.months === 1 ? 'month' : `${plan.months} months`}`;
+    }
+    
+    // Fills a plan dropdown, selecting `selectedId` when it is one of the plans
+    fillPlanSelect(id, plans, selectedId) {
+        const select = document.getElementById(id);
+        if (!select) return;
+        
+        select.innerHTML = plans.map(plan => `<option value="${plan._id}">${this.planLabel(plan)}</option>`).join('');
+        if (selectedId && plans.some(plan => plan._id === selectedId)) {
+            select.value = selectedId;
         }
     }
     
-    closeMoneyExchanger() {
-        const modal = document.getElementById('money-exchanger-modal');
-        if (modal) {
-            modal.classList.add('hidden');
+    // Plans on offer, for registration and the payment page
+    async loadPlans() {
+        try {
+            const result = await this.apiCall('/api/plans');
+            this.plans = result.plans;
+            this.trialDays = result.trialDays;
+            
+            const currentPlan = this.currentUser && this.currentUser.plan;
+            this.fillPlanSelect('register-plan', this.plans);
+            this.fillPlanSelect('claim-plan', this.plans, currentPlan);
+            this.displayPlanCards();
+            
+            const trialNote = document.getElementById('register-trial-note');
+            if (trialNote) {
+                trialNote.textContent = this.trialDays > 0 ? `Includes a ${this.trialDays}-day free trial.` : '';
+            }
+        } catch (error) {
+            console.error('Failed to load plans:', error);
         }
     }
     
-    updateOwnersList() {
-        const ownersList = document.getElementById('owners-list');
+    displayPlanCards() {
+        const container = document.getElementById('plans-list');
+        if (!container) return;
+        
+        const currentPlan = this.currentUser && this.currentUser.plan;
+        container.innerHTML = this.plans.map(plan => `
+            <div class="payment-plan ${plan._id === currentPlan ? 'current' : ''}">
+                <h2>${plan.name}</h2>
+                <div class="price">${plan.currency} ${this.formatAmount(plan.price)}</div>
+                <p>${plan.months === 1 ? 'per month' : `for ${plan.months} months`}${plan._id === currentPlan ? ' · Your plan' : ''}</p>
+                <div class="features">
+                    ${plan.features.map(feature => `<div class="feature">✓ ${feature}</div>`).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    // Shows what the chosen plan costs with the coupon, and fills in the amount to pay
+    async checkCoupon() {
+        const code = document.getElementById('claim-coupon').value.trim();
+        const amountDueEl = document.getElementById('claim-amount-due');
+        if (!code) {
+            amountDueEl.textContent = '';
+            return;
+        }
+        
+        try {
+            const result = await this.apiCall('/api/coupons/check', 'POST', {
+                code,
+                planId: document.getElementById('claim-plan').value
+            });
+            amountDueEl.textContent = `${result.code}: ${result.currency} ${this.formatAmount(result.discount)} off, ${result.currency} ${this.formatAmount(result.amountDue)} to pay`;
+            document.getElementById('claim-amount').value = result.amountDue;
+            document.getElementById('claim-currency').value = result.currency;
+        } catch (error) {
+            amountDueEl.textContent = '';
+        }
+    }
+    
+    async loadOwnerPlans() {
+        try {
+            const result = await this.apiCall('/api/owner/plans');
+            this.ownerPlans = result.plans;
+            this.displayOwnerPlans();
+            
+            const couponPlans = document.getElementById('coupon-plans');
+            if (couponPlans) {
+                couponPlans.innerHTML = this.ownerPlans.map(plan => `<option value="${plan._id}">${plan.name}</option>`).join('');
+            }
+        } catch (error) {
+            console.error('Failed to load plans:', error);
+        }
+    }
+    
+    formatPlanLimits(limits) {
+        const parts = [
+            ['maxCustomers', 'customers'],
+            ['maxTransactionsPerMonth', 'transactions/month'],
+            ['maxPartners', 'partners']
+        ].filter(([key]) => limits[key] !== null && limits[key] !== undefined)
+            .map(([key, label]) => `${limits[key]} ${label}`);
+        return parts.length > 0 ? parts.join(', ') : 'Unlimited';
+    }
+    
+    displayOwnerPlans() {
+        const tbody = document.getElementById('plans-tbody');
+        if (!tbody) return;
+        
+        tbody.innerHTML = this.ownerPlans.map(plan => `
+            <tr>
+                <td>${plan.name}</td>
+                <td>${plan.currency} ${this.formatAmount(plan.price)} / ${plan.months === 1 ? 'month' : `${plan.months} months`}</td>
+                <td>${this.formatPlanLimits(plan.limits)}</td>
+                <td>${plan.clients}</td>
+                <td><span class="status-badge ${plan.active ? 'active' : 'voided'}">${plan.active ? 'On offer' : 'Retired'}</span></td>
+                <td><button class="btn-action btn-secondary" onclick="app.editPlan('${plan._id}')">Edit</button></td>
+            </tr>
+        `).join('');
+    }
+    
+    editPlan(planId) {
+        const plan = this.ownerPlans.find(p => p._id === planId);
+        if (!plan) return;
+        
+        document.getElementById('plan-id').value = plan._id;
+        document.getElementById('plan-name').value = plan.name;
+        document.getElementById('plan-interval').value = plan.interval;
+        document.getElementById('plan-price').value = plan.price;
+        document.getElementById('plan-max-customers').value = plan.limits.maxCustomers ?? '';
+        document.getElementById('plan-max-transactions').value = plan.limits.maxTransactionsPerMonth ?? '';
+        document.getElementById('plan-max-partners').value = plan.limits.maxPartners ?? '';
+        document.getElementById('plan-features').value = plan.features.join(', ');
+        document.getElementById('plan-active').checked = plan.active;
+    }
+    
+    clearPlanForm() {
+        document.getElementById('plan-form').reset();
+        document.getElementById('plan-id').value = '';
+    }
+    
+    async savePlan() {
+        const planId = document.getElementById('plan-id').value;
+        const plan = {
+            name: document.getElementById('plan-name').value.trim(),
+            interval: document.getElementById('plan-interval').value,
+            price: document.getElementById('plan-price').value,
+            limits: {
+                maxCustomers: document.getElementById('plan-max-customers').value,
+                maxTransactionsPerMonth: document.getElementById('plan-max-transactions').value,
+                maxPartners: document.getElementById('plan-max-partners').value
+            },
+            features: document.getElementById('plan-features').value,
+            active: document.getElementById('plan-active').checked
+        };
+        
+        try {
+            const result = planId
+                ? await this.apiCall(`/api/owner/plans/${planId}`, 'PUT', plan)
+                : await this.apiCall('/api/owner/plans', 'POST', plan);
+            this.showToast('Success', result.message, 'success');
+            this.clearPlanForm();
+            this.loadOwnerPlans();
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    // Coupon Methods
+    async loadCoupons() {
+        try {
+            const result = await this.apiCall('/api/owner/coupons');
+            this.coupons = result.coupons;
+            this.displayCoupons();
+        } catch (error) {
+            console.error('Failed to load coupons:', error);
+        }
+    }
+    
+    formatDiscount(coupon) {
+        return coupon.discountType === 'percent' ? `${coupon.discountValue}% off` : `${this.formatAmount(coupon.discountValue)} off`;
+    }
+    
+    displayCoupons() {
+        const tbody = document.getElementById('coupons-tbody');
+        if (!tbody) return;
+        
+        if (this.coupons.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: #64748b;">No coupons</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = this.coupons.map(coupon => `
+            <tr>
+                <td>${coupon.code}${coupon.description ? `<div style="font-size: 0.75rem; color: #64748b;">${coupon.description}</div>` : ''}</td>
+                <td>${this.formatDiscount(coupon)}</td>
+                <td>${coupon.plans.length > 0 ? coupon.plans.map(plan => plan.name).join(', ') : 'All plans'}</td>
+                <td>${coupon.uses}${coupon.maxUses !== null ? ` / ${coupon.maxUses}` : ''}</td>
+                <td>${coupon.expiresAt ? new Date(coupon.expiresAt).toLocaleDateString() : 'Never'}</td>
+                <td><span class="status-badge ${coupon.active ? 'active' : 'voided'}">${coupon.active ? 'Active' : 'Disabled'}</span></td>
+                <td><button class="btn-action btn-secondary" onclick="app.editCoupon('${coupon._id}')">Edit</button></td>
+            </tr>
+        `).join('');
+    }
+    
+    editCoupon(couponId) {
+        const coupon = this.coupons.find(c => c._id === couponId);
+        if (!coupon) return;
+        
+        document.getElementById('coupon-id').value = coupon._id;
+        const codeInput = document.getElementById('coupon-code');
+        codeInput.value = coupon.code;
+        codeInput.readOnly = true;
+        document.getElementById('coupon-discount-type').value = coupon.discountType;
+        document.getElementById('coupon-discount-value').value = coupon.discountValue;
+        document.getElementById('coupon-max-uses').value = coupon.maxUses ?? '';
+        document.getElementById('coupon-expires').value = coupon.expiresAt ? coupon.expiresAt.split('T')[0] : '';
+        document.getElementById('coupon-description').value = coupon.description || '';
+        document.getElementById('coupon-active').checked = coupon.active;
+        
+        const planIds = coupon.plans.map(plan => plan._id);
+        Array.from(document.getElementById('coupon-plans').options).forEach(option => {
+            option.selected = planIds.includes(option.value);
+        });
+    }
+    
+    clearCouponForm() {
+        document.getElementById('coupon-form').reset();
+        document.getElementById('coupon-id').value = '';
+        document.getElementById('coupon-code').readOnly = false;
+    }
+    
+    async saveCoupon() {
+        const couponId = document.getElementById('coupon-id').value;
+        const coupon = {
+            code: document.getElementById('coupon-code').value.trim(),
+            discountType: document.getElementById('coupon-discount-type').value,
+            discountValue: document.getElementById('coupon-discount-value').value,
+            maxUses: document.getElementById('coupon-max-uses').value,
+            expiresAt: document.getElementById('coupon-expires').value,
+            plans: Array.from(document.getElementById('coupon-plans').selectedOptions).map(option => option.value),
+            description: document.getElementById('coupon-description').value.trim(),
+            active: document.getElementById('coupon-active').checked
+        };
+        
+        try {
+            const result = couponId
+                ? await this.apiCall(`/api/owner/coupons/${couponId}`, 'PUT', coupon)
+                : await this.apiCall('/api/owner/coupons', 'POST', coupon);
+            this.showToast('Success', result.message, 'success');
+            this.clearCouponForm();
+            this.loadCoupons();
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    // Support view: the owner opens a client's dashboard, transactions and reports with a
+    // read-only token. The owner's session is kept aside and comes back on exit; reloading
+    // the page ends the view too.
+    async openSupportView(clientId) {
+        const client = this.ownerClients.find(c => c._id === clientId);
+        if (!client) return;
+        
+        const reason = prompt(`Why are you opening ${client.businessName || client.fullName}'s books? The client will be told.`);
+        if (reason === null) return;
+        if (!reason.trim()) {
+            this.showToast('Error', 'Please give a reason; the client will be told it', 'error');
+            return;
+        }
+        
+        try {
+            const result = await this.apiCall(`/api/owner/clients/${clientId}/support-view`, 'POST', { reason: reason.trim() });
+            this.supportView = { token: result.token, owner: this.currentUser };
+            this.currentUser = result.user;
+            this.updateUserData();
+            this.showDashboard();
+            this.showToast('Info', result.message, 'info');
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    exitSupportView() {
+        if (!this.supportView) return;
+        
+        this.currentUser = this.supportView.owner;
+        this.supportView = null;
+        this.closeMoneyExchanger();
+        this.updateUserData();
+        this.showDashboard();
+    }
+    
+    // Lifecycle actions share one modal; each shows its own fields and needs a reason,
+    // which the client is told along with the change
+    showClientAction(clientId, action) {
+        const client = this.ownerClients.find(c => c._id === clientId);
+        if (!client) return;
+        
+        const [title, submitLabel] = {
+            suspend: ['Suspend Client', 'Suspend'],
+            reactivate: ['Reactivate Client', 'Reactivate'],
+            extend: ['Extend Subscription', 'Extend'],
+            plan: ['Change Plan', 'Change Plan'],
+            password: ['Reset Password', 'Reset Password'],
+            edit: ['Edit Client', 'Save'],
+            delete: ['Delete Account', 'Delete Account']
+        }[action];
+        
+        document.getElementById('client-action-form').reset();
+        document.getElementById('client-action-id').value = clientId;
+        document.getElementById('client-action-type').value = action;
+        document.getElementById('client-action-title').textContent = title;
+        document.getElementById('client-action-client').value = `${client.businessName || client.fullName} (${client.email})`;
+        document.getElementById('client-action-result').classList.add('hidden');
+        const submit = document.getElementById('client-action-submit');
+        submit.textContent = submitLabel;
+        submit.classList.remove('hidden');
+        document.querySelectorAll('.client-action-fields').forEach(fields => {
+            fields.classList.toggle('hidden', fields.id !== `client-action-${action}`);
+        });
+        
+        if (action === 'plan') {
+            const clientPlanId = client.plan ? client.plan._id : null;
+            this.fillPlanSelect('client-action-plan-select', this.ownerPlans.filter(plan => plan.active && plan._id !== clientPlanId));
+        } else if (action === 'edit') {
+            document.getElementById('client-edit-full-name').value = client.fullName;
+            document.getElementById('client-edit-business-name').value = client.businessName || '';
+            document.getElementById('client-edit-username').value = client.username;
+            document.getElementById('client-edit-email').value = client.email;
+            document.getElementById('client-edit-phone').value = client.phone || '';
+        }
+        
+        document.getElementById('client-action-modal').classList.remove('hidden');
+    }
+    
+    closeClientAction() {
+        document.getElementById('client-action-modal').classList.add('hidden');
+        document.getElementById('client-temporary-password').textContent = '';
+    }
+    
+    async submitClientAction() {
+        const clientId = document.getElementById('client-action-id').value;
+        const action = document.getElementById('client-action-type').value;
+        const reason = document.getElementById('client-action-reason').value.trim();
+        if (!reason) {
+            this.showToast('Error', 'Please give a reason; the client will be told it', 'error');
+            return;
+        }
+        
+        const [endpoint, method, data] = {
+            suspend: [`/api/owner/suspend/${clientId}`, 'POST', {}],
+            reactivate: [`/api/owner/clients/${clientId}/reactivate`, 'POST', {}],
+            extend: [`/api/owner/clients/${clientId}/extend`, 'POST', {
+                months: Number(document.getElementById('client-action-months').value)
+            }],
+            plan: [`/api/owner/clients/${clientId}/plan`, 'PUT', {
+                planId: document.getElementById('client-action-plan-select').value
+            }],
+            password: [`/api/owner/clients/${clientId}/reset-password`, 'POST', {}],
+            edit: [`/api/owner/clients/${clientId}`, 'PUT', {
+                fullName: document.getElementById('client-edit-full-name').value.trim(),
+                businessName: document.getElementById('client-edit-business-name').value.trim(),
+                username: document.getElementById('client-edit-username').value.trim(),
+                email: document.getElementById('client-edit-email').value.trim(),
+                phone: document.getElementById('client-edit-phone').value.trim()
+            }],
+            delete: [`/api/owner/clients/${clientId}`, 'DELETE', {
+                confirm: document.getElementById('client-action-confirm').value.trim()
+            }]
+        }[action];
+        
+        try {
+            const result = await this.apiCall(endpoint, method, { ...data, reason });
+            this.showToast('Success', result.message, 'success');
+            if (action === 'password') {
+                // The temporary password is only ever returned here, so keep the modal open to copy it
+                document.getElementById('client-temporary-password').textContent = result.temporaryPassword;
+                document.getElementById('client-action-result').classList.remove('hidden');
+                document.getElementById('client-action-submit').classList.add('hidden');
+            } else {
+                this.closeClientAction();
+            }
+            this.loadOwnerDashboard();
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    // Money Exchanger System Methods
+    async loadMoneyExchangerData() {
+        try {
+            const response = await this.apiCall('/api/money-exchanger/data');
+            const startOfToday = new Date();
+            startOfToday.setHours(0, 0, 0, 0);
+            const today = await this.apiCall(`/api/money-exchanger/transactions?from=${startOfToday.toISOString()}&limit=1`);
+            
+            this.moneyExchangerData = {
+                ...response,
+                transactions: this.moneyExchangerData.transactions,
+                todayTransactionsCount: today.total
+            };
+            await this.loadCustomers();
+        } catch (error) {
+            console.error('Error loading Money Exchanger data:', error);
+            this.moneyExchangerData = {
+                owners: [this.currentUser.fullName],
+                customers: {},
+                transactions: [],
+                partnerBalances: {},
+                todayTransactionsCount: 0,
+                version: 0
+            };
+        }
+    }
+    
+    // Writes to the books carry the version they were based on. If another device
+    // changed the books first, the server rejects the write with a version conflict and
+    // nothing is saved. Other 409s (e.g. a repair that cannot replay) leave the data alone.
+    async bookWrite(endpoint, method, data, headers = {}, options = {}) {
+        try {
+            const response = await this.apiCall(endpoint, method, data, {
+                ...headers,
+                'If-Match': `"v${this.moneyExchangerData.version}"`
+            }, options);
+            this.moneyExchangerData.version = response.version;
+            return response;
+        } catch (error) {
+            if (this.isVersionConflict(error)) {
+                await this.mergeRemoteChanges(error.data);
+            }
+            throw error;
+        }
+    }
+    
+    isVersionConflict(error) {
+        return error.status === 409 && Boolean(error.data) && error.data.code === 'version_conflict';
+    }
+    
+    // New ledger entries carry an idempotency key so a retry never adds the entry twice.
+    // The same entry submitted again (a double click, or a retry after the connection
+    // dropped) reuses the key, and the server answers with the original result. The key
+    // is dropped once the server has answered.
+    // A new entry does not depend on what another device changed, so when it is rejected
+    // for a stale version it is sent once more against the merged books; the server checks
+    // it again against the latest balances.
+    async createLedgerEntry(endpoint, data) {
+        const fingerprint = `${endpoint} ${JSON.stringify(data)}`;
+        if (!this.pendingLedgerEntry || this.pendingLedgerEntry.fingerprint !== fingerprint) {
+            this.pendingLedgerEntry = { fingerprint, key: this.generateId('entry') };
+        }
+        const pending = this.pendingLedgerEntry;
+        const headers = { 'Idempotency-Key': pending.key };
+        
+        try {
+            let response;
+            try {
+                response = await this.bookWrite(endpoint, 'POST', data, headers, { silent: true });
+            } catch (error) {
+                if (!this.isVersionConflict(error)) {
+                    this.showToast('Error', error.message, 'error');
+                    throw error;
+                }
+                response = await this.bookWrite(endpoint, 'POST', data, headers);
+            }
+            this.forgetLedgerEntry(pending);
+            return response;
+        } catch (error) {
+            if (error.status) {
+                this.forgetLedgerEntry(pending);
+            }
+            throw error;
+        }
+    }
+    
+    forgetLedgerEntry(pending) {
+        if (this.pendingLedgerEntry === pending) {
+            this.pendingLedgerEntry = null;
+        }
+    }
+    
+    // Catches up after a conflict: takes the server's balances and version and adds the
+    // transactions made on the other device to the list. Local changes are never kept
+    // unless the server accepted them, so there is nothing local to overwrite.
+    async mergeRemoteChanges(conflict) {
+        if (!conflict || conflict.version === undefined) return;
+        
+        this.moneyExchangerData.owners = conflict.owners;
+        this.moneyExchangerData.customers = conflict.customers;
+        this.moneyExchangerData.partnerBalances = conflict.partnerBalances;
+        this.moneyExchangerData.version = conflict.version;
+        
+        try {
+            const latest = await this.apiCall('/api/money-exchanger/transactions?page=1');
+            const known = new Map(this.moneyExchangerData.transactions.map(t => [t.id, t]));
+            const added = latest.transactions.filter(t => !known.has(t.id));
+            latest.transactions.forEach(t => known.set(t.id, t));
+            this.moneyExchangerData.transactions = [...known.values()]
+                .sort((a, b) => new Date(b.date) - new Date(a.date));
+            
+            const startOfToday = new Date();
+            startOfToday.setHours(0, 0, 0, 0);
+            this.moneyExchangerData.todayTransactionsCount += added.filter(t => new Date(t.date) >= startOfToday).length;
+            
+            this.showToast('Info', `${added.length} new transaction(s) from another device were added to your list`, 'info');
+        } catch (error) {
+            console.error('Error loading transactions from another device:', error);
+        }
+        
+        this.updateMoneyExchangerUI();
+        this.loadProfitSummary();
+    }
+    
+    // Transactions are paged from the server, newest first
+    async loadTransactions(page = 1) {
+        try {
+            const response = await this.apiCall(`/api/money-exchanger/transactions?page=${page}`);
+            this.moneyExchangerData.transactions = page === 1
+                ? response.transactions
+                : [...this.moneyExchangerData.transactions, ...response.transactions];
+            this.transactionsPage = response.page;
+            this.transactionsPages = response.pages;
+        } catch (error) {
+            console.error('Error loading transactions:', error);
+        }
+        this.displayMoneyExchangerTransactions();
+    }
+    
+    // Fetches every transaction in a date range, page by page, for reports
+    async fetchTransactionsInRange(startDate, endDate) {
+        const start = new Date(startDate);
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999); // Include end date
+        
+        const transactions = [];
+        let page = 1;
+        let pages = 1;
+        do {
+            const response = await this.apiCall(
+                `/api/money-exchanger/transactions?from=${start.toISOString()}&to=${end.toISOString()}&page=${page}&limit=500`
+            );
+            transactions.push(...response.transactions);
+            pages = response.pages;
+            page++;
+        } while (page <= pages);
+        
+        return transactions;
+    }
+    
+    updateMoneyExchangerUI() {
+        const currentOwner = document.getElementById('current-owner');
+        const ownerBalance = document.getElementById('owner-balance');
+        const modalOwnerName = document.getElementById('modal-owner-name');
+        const modalOwnerBalance = document.getElementById('modal-owner-balance');
+        
+        if (currentOwner) {
+            currentOwner.textContent = this.currentUser.fullName;
+        }
+        
+        if (ownerBalance) {
+            ownerBalance.textContent = this.formatBalances(this.totalPartnerBalances());
+        }
+        
+        if (modalOwnerName) {
+            modalOwnerName.textContent = this.currentUser.fullName;
+        }
+        
+        if (modalOwnerBalance) {
+            modalOwnerBalance.textContent = this.formatBalances(this.totalPartnerBalances());
+        }
+        
+        this.updateAccountStatusUI();
+        this.populateCurrencySelects();
+        this.updateOwnersList();
+        this.displayPartners();
+        this.updateMoneyExchangerStats();
+        this.updateCustomersList();
+        
+        if (document.getElementById('all-transactions-tab')?.classList.contains('active')) {
+            this.displayMoneyExchangerTransactions();
+        }
+    }
+    
+    updateAccountStatusUI() {
+        if (!this.currentUser) return;
+        
+        // Dashboard elements
+        const accountStatusEl = document.getElementById('account-status');
+        const expiryDateEl = document.getElementById('expiry-date');
+        
+        // Modal elements
+        const modalAccountStatusEl = document.getElementById('modal-account-status');
+        const modalExpiryDateEl = document.getElementById('modal-expiry-date');
+        
+        if (accountStatusEl) {
+            accountStatusEl.textContent = this.currentUser.accountStatus.charAt(0).toUpperCase() + 
+                                       this.currentUser.accountStatus.slice(1);
+            accountStatusEl.className = `status-badge ${this.currentUser.accountStatus}`;
+        }
+        
+        if (expiryDateEl && this.currentUser.subscriptionEnd) {
+            const onTrial = this.currentUser.subscription && this.currentUser.subscription.trial;
+            expiryDateEl.textContent = new Date(this.currentUser.subscriptionEnd).toLocaleDateString() + (onTrial ? ' (free trial)' : '');
+        }
+        
+        if (modalAccountStatusEl) {
+            modalAccountStatusEl.textContent = this.currentUser.accountStatus.charAt(0).toUpperCase() + 
+                                            this.currentUser.accountStatus.slice(1);
+            modalAccountStatusEl.className = `status-badge ${this.currentUser.accountStatus}`;
+        }
+        
+        if (modalExpiryDateEl && this.currentUser.subscriptionEnd) {
+            modalExpiryDateEl.textContent = new Date(this.currentUser.subscriptionEnd).toLocaleDateString();
+        }
+    }
+    
+    updateMoneyExchangerStats() {
+        const activeCustomersCount = document.getElementById('active-customers-count');
+        const todayTransactionsCount = document.getElementById('today-transactions-count');
+        const systemBalance = document.getElementById('system-balance');
+        
+        if (activeCustomersCount) {
+            activeCustomersCount.textContent = this.customerDirectory.length;
+        }
+        
+        if (todayTransactionsCount) {
+            todayTransactionsCount.textContent = this.moneyExchangerData.todayTransactionsCount;
+        }
+        
+        if (systemBalance) {
+            systemBalance.textContent = this.formatBalances(this.totalPartnerBalances());
+        }
+    }
+    
+    updateCustomersList() {
+        // Existing customers are listed as "Name (phones)" so they can be found by name or phone
+        const payerCustomersList = document.getElementById('payer-customers-list');
+        const payeeCustomersList = document.getElementById('payee-customers-list');
+        const exchangeCustomersList = document.getElementById('exchange-customers-list');
+        const geCustomerSelect = document.getElementById('ge-customer-select');
+        const adjustmentCustomerSelect = document.getElementById('adjustment-customer-select');
+        const mergeSourceSelect = document.getElementById('merge-source-select');
+        const mergeTargetSelect = document.getElementById('merge-target-select');
+        const statementCustomerSelect = document.getElementById('statement-customer-select');
+        
+        [payerCustomersList, payeeCustomersList, exchangeCustomersList].forEach(list => {
+            if (!list) return;
+            list.innerHTML = '';
+            this.customerDirectory.forEach(customer => {
+                const option = document.createElement('option');
+                option.value = this.customerLabel(customer);
+                list.appendChild(option);
+            });
+        });
+        
+        [geCustomerSelect, adjustmentCustomerSelect, mergeSourceSelect, mergeTargetSelect, statementCustomerSelect].forEach(select => {
+            if (!select) return;
+            const selected = select.value;
+            select.innerHTML = '<option value="">Select Customer</option>';
+            this.customerDirectory.forEach(customer => {
+                const option = document.createElement('option');
+                option.value = customer.id;
+                option.textContent = this.customerLabel(customer);
+                select.appendChild(option);
+            });
+            select.value = this.customerDirectory.some(customer => customer.id === selected) ? selected : '';
+        });
+    }
+    
+    async openMoneyExchanger() {
+        const modal = document.getElementById('money-exchanger-modal');
+        if (modal) {
+            modal.classList.remove('hidden');
+            await this.loadMoneyExchangerData();
+            this.updateMoneyExchangerUI();
+            this.loadRates();
+            this.loadPartners();
+            this.loadTill();
+        }
+    }
+    
+    // Fills every currency dropdown from the server's list of supported currencies
+    populateCurrencySelects() {
+        const currencies = this.moneyExchangerData.currencies || [];
+        
+        document.querySelectorAll('select[data-currency-select]').forEach(select => {
+            const selected = select.value;
+            const placeholder = select.options[0] && select.options[0].value === '' ? select.options[0] : null;
+            
+            select.innerHTML = '';
+            if (placeholder) select.appendChild(placeholder);
+            currencies.forEach(currency => {
+                const option = document.createElement('option');
+                option.value = currency;
+                option.textContent = currency;
+                select.appendChild(option);
+            });
+            
+            if (selected) select.value = selected;
+        });
+    }
+    
+    // Profit & Loss Methods
+    getProfit(params) {
+        const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const query = new URLSearchParams({ ...params, timezone }).toString();
+        return this.apiCall(`/api/money-exchanger/profit?${query}`);
+    }
+    
+    async loadProfitSummary() {
+        const startOfToday = new Date();
+        startOfToday.setHours(0, 0, 0, 0);
+        const startOfMonth = new Date(startOfToday.getFullYear(), startOfToday.getMonth(), 1);
+        
+        try {
+            const [today, month] = await Promise.all([
+                this.getProfit({ from: startOfToday.toISOString() }),
+                this.getProfit({ from: startOfMonth.toISOString() })
+            ]);
+            
+            const todayProfitEl = document.getElementById('today-profit');
+            if (todayProfitEl) todayProfitEl.textContent = `$${this.formatAmount(today.totals.net)}`;
+            
+            const monthProfitEl = document.getElementById('month-profit');
+            if (monthProfitEl) monthProfitEl.textContent = `$${this.formatAmount(month.totals.net)}`;
+        } catch (error) {
+            console.error('Error loading profit summary:', error);
+        }
+    }
+    
+    async showIncomeStatement() {
+        const startDate = document.getElementById('pnl-start-date').value;
+        const endDate = document.getElementById('pnl-end-date').value;
+        
+        if (!startDate || !endDate) {
+            this.showToast('Error', 'Please select both start and end dates', 'error');
+            return;
+        }
+        
+        const start = new Date(startDate);
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999); // Include end date
+        
+        try {
+            const statement = await this.getProfit({
+                from: start.toISOString(),
+                to: end.toISOString(),
+                groupBy: document.getElementById('pnl-group-by').value
+            });
+            this.displayIncomeStatement(statement);
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    displayIncomeStatement(statement) {
+        const container = document.getElementById('income-statement');
+        const tbody = document.getElementById('income-statement-tbody');
+        const unconverted = document.getElementById('income-statement-unconverted');
+        if (!container || !tbody) return;
+        
+        const row = (label, line) => `
+            <tr>
+                <td>${label}</td>
+                <td>$${this.formatAmount(line.margin)}</td>
+                <td>$${this.formatAmount(line.fees)}</td>
+                <td>$${this.formatAmount(line.income)}</td>
+                <td>$${this.formatAmount(line.expenses)}</td>
+                <td><strong>$${this.formatAmount(line.net)}</strong></td>
+            </tr>
+        `;
+        
+        tbody.innerHTML = statement.groupBy === 'total'
+            ? ''
+            : statement.periods.map(period => row(period.period, period)).join('');
+        tbody.innerHTML += row('<strong>Total</strong>', statement.totals);
+        container.classList.remove('hidden');
+        
+        if (statement.unconverted.length > 0) {
+            unconverted.innerHTML = '<strong>Not included (no USD rate in the rate book at the time):</strong> ' +
+                statement.unconverted.map(line => `${line.category} ${line.currency} ${this.formatAmount(line.amount)}`).join(', ');
+            unconverted.classList.remove('hidden');
+        } else {
+            unconverted.classList.add('hidden');
+        }
+    }
+    
+    // Balance Integrity Methods
+    async checkBalances() {
+        try {
+            const report = await this.apiCall('/api/money-exchanger/integrity');
+            this.displayIntegrityReport(report);
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    displayIntegrityReport(report) {
+        const summary = document.getElementById('integrity-summary');
+        const table = document.getElementById('integrity-discrepancies');
+        const tbody = document.getElementById('integrity-tbody');
+        
+        let text = report.balanced
+            ? `All balances match the ${report.transactions} transactions in the history.`
+            : `${report.discrepancies.length} balances differ from the ${report.transactions} transactions in the history.`;
+        if (report.unreplayable > 0) {
+            text += ` ${report.unreplayable} older transactions have no recorded balance effects and were skipped.`;
+        }
+        summary.textContent = text;
+        
+        tbody.innerHTML = report.discrepancies.map(d => `
+            <tr>
+                <td>${d.partyType === 'owner' ? `Owner (${this.escapeHtml(d.name)})` : this.escapeHtml(d.name)}</td>
+                <td>${d.currency}</td>
+                <td>${this.formatAmount(d.stored)}</td>
+                <td>${this.formatAmount(d.expected)}</td>
+                <td>${this.formatAmount(d.difference)}</td>
+            </tr>
+        `).join('');
+        
+        table.classList.toggle('hidden', report.balanced);
+        document.getElementById('repair-balances').classList.toggle('hidden', report.balanced);
+        this.lastIntegrityReport = report;
+        document.getElementById('integrity-result').classList.remove('hidden');
+    }
+    
+    async repairBalances() {
+        const report = this.lastIntegrityReport;
+        if (!report) return;
+        
+        let question = 'Replace the stored balances with the balances rebuilt from the transaction history?';
+        if (report.unreplayable > 0) {
+            question += `\n\nWarning: ${report.unreplayable} older transactions have no recorded balance effects. Their effect on the balances will be lost.`;
+        }
+        if (!confirm(question)) return;
+        
+        try {
+            const response = await this.bookWrite('/api/money-exchanger/integrity/repair', 'POST', {
+                force: report.unreplayable > 0
+            });
+            
+            this.moneyExchangerData.customers = response.customers;
+            this.moneyExchangerData.partnerBalances = response.partnerBalances;
+            this.updateMoneyExchangerUI();
+            this.displayIntegrityReport({ ...response, balanced: true, discrepancies: [] });
+            
+            this.showToast('Success', `${response.repaired} balances repaired`, 'success');
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    // Audit Log Methods
+    // The owner's and the client's viewers share their markup; ids are prefixed with the scope
+    async loadAuditEvents(scope, page = 1) {
+        const params = new URLSearchParams({ page });
+        const action = document.getElementById(`${scope}-audit-action`).value;
+        const from = document.getElementById(`${scope}-audit-from`).value;
+        const to = document.getElementById(`${scope}-audit-to`).value;
+        
+        if (action) params.set('action', action);
+        if (from) params.set('from', new Date(from).toISOString());
+        if (to) {
+            const end = new Date(to);
+            end.setHours(23, 59, 59, 999); // Include end date
+            params.set('to', end.toISOString());
+        }
+        if (scope === 'owner') {
+            const business = document.getElementById('owner-audit-business').value;
+            if (business) params.set('business', business);
+        }
+        
+        const endpoint = scope === 'owner' ? '/api/owner/audit' : '/api/money-exchanger/audit';
+        try {
+            const response = await this.apiCall(`${endpoint}?${params}`);
+            this.auditActions = response.actions;
+            this.auditPages[scope] = { page: response.page, pages: response.pages };
+            this.populateAuditActions(scope);
+            this.displayAuditEvents(scope, response.events, page > 1);
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+        }
+    }
+    
+    populateAuditActions(scope) {
+        const select = document.getElementById(`${scope}-audit-action`);
+        if (!select || select.options.length > 1) return;
+        
+        Object.entries(this.auditActions).forEach(([action, label]) => {
+            select.add(new Option(label, action));
+        });
+    }
+    
+    populateAuditClients(clients) {
+        const select = document.getElementById('owner-audit-business');
+        if (!select) return;
+        
+        const selected = select.value;
+        select.innerHTML = '<option value="">All Clients</option>';
+        clients.forEach(client => {
+            select.add(new Option(client.businessName || client.fullName, client._id));
+        });
+        select.value = selected;
+    }
+    
+    displayAuditEvents(scope, events, append) {
+        const tbody = document.getElementById(`${scope}-audit-tbody`);
+        if (!tbody) return;
+        
+        if (!append) {
+            tbody.innerHTML = events.length === 0
+                ? '<tr><td colspan="6" style="text-align:center;">No audit events found</td></tr>'
+                : '';
+        }
+        
+        events.forEach(event => {
+            const row = tbody.insertRow();
+            const actor = event.actor || {};
+            const target = event.target || {};
+            
+            row.innerHTML = `
+                <td>${new Date(event.createdAt).toLocaleString()}</td>
+                <td>${this.escapeHtml(actor.username)} ${actor.role ? `(${actor.role})` : ''}</td>
+                <td>${this.auditActions[event.action] || event.action}</td>
+                <td>${this.escapeHtml(target.name)} ${target.id ? `<small>${this.escapeHtml(target.id)}</small>` : ''}</td>
+                <td>${this.describeAuditChange(event)}</td>
+                <td>${event.ip || ''}</td>
+            `;
+        });
+        
+        const loadMoreBtn = document.getElementById(`${scope}-audit-more`);
+        if (loadMoreBtn) {
+            const { page, pages } = this.auditPages[scope];
+            loadMoreBtn.classList.toggle('hidden', page >= pages);
+        }
+    }
+    
+    describeAuditChange(event) {
+        if (event.before === undefined && event.after === undefined) return '';
+        
+        const lines = [];
+        if (event.before !== undefined) lines.push(`Before: ${JSON.stringify(event.before, null, 2)}`);
+        if (event.after !== undefined) lines.push(`After: ${JSON.stringify(event.after, null, 2)}`);
+        return `<details><summary>View</summary><pre class="audit-change">${this.escapeHtml(lines.join('\n'))}</pre></details>`;
+    }
+    
+    // Rate Book Methods
+    async loadRates() {
+        try {
+            const response = await this.apiCall('/api/money-exchanger/rates');
+            this.rates = response.rates;
+            this.displayRates();
+        } catch (error) {
+            console.error('Error loading exchange rates:', error);
+        }
+    }
+    
+    displayRates() {
+        const tbody = document.getElementById('rates-tbody');
+        if (!tbody) return;
+        
+        tbody.innerHTML = '';
+        
+        if (this.rates.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;">No exchange rates set</td></tr>';
+            return;
+        }
+        
+        this.rates.forEach(rate => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td>${rate.base}/${rate.quote}</td>
+                <td>${rate.buy}</td>
+                <td>${rate.sell}</td>
+                <td>${(rate.buy + rate.sell) / 2}</td>
+                <td>${new Date(rate.effectiveAt).toLocaleString()}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-edit" onclick="app.editRate('${rate.base}', '${rate.quote}')">Edit</button>
+                        <button class="btn-action btn-secondary" onclick="app.showRateHistory('${rate.base}', '${rate.quote}')">History</button>
+                    </div>
+                </td>
+            `;
+        });
+    }
+    
+    editRate(base, quote) {
+        const rate = this.rates.find(r => r.base === base && r.quote === quote);
+        if (!rate) return;
+        
+        document.getElementById('rate-base').value = rate.base;
+        document.getElementById('rate-quote').value = rate.quote;
+        document.getElementById('rate-buy').value = rate.buy;
+        document.getElementById('rate-sell').value = rate.sell;
+        document.getElementById('rate-effective-at').value = '';
+    }
+    
+    async saveRate() {
+        const effectiveAt = document.getElementById('rate-effective-at').value;
+        const rate = {
+            base: document.getElementById('rate-base').value,
+            quote: document.getElementById('rate-quote').value,
+            buy: parseFloat(document.getElementById('rate-buy').value),
+            sell: parseFloat(document.getElementById('rate-sell').value),
+            effectiveAt: effectiveAt ? new Date(effectiveAt).toISOString() : undefined
+        };
+        
+        try {
+            await this.apiCall('/api/money-exchanger/rates', 'POST', rate);
+            ['rate-buy', 'rate-sell', 'rate-effective-at'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            this.showMessage('rate-message', `${rate.base}/${rate.quote} rate saved`, 'success');
+            await this.loadRates();
+            this.showRateHistory(rate.base, rate.quote);
+        } catch (error) {
+            this.showMessage('rate-message', error.message, 'error');
+        }
+    }
+    
+    async showRateHistory(base, quote) {
+        try {
+            const history = await this.apiCall(`/api/money-exchanger/rates/history?base=${base}&quote=${quote}`);
+            const tbody = document.getElementById('rate-history-tbody');
+            
+            document.getElementById('rate-history-title').textContent = `${base}/${quote} Rate History`;
+            document.getElementById('rate-history').classList.remove('hidden');
+            
+            tbody.innerHTML = '';
+            history.forEach(rate => {
+                const row = tbody.insertRow();
+                row.innerHTML = `
+                    <td>${new Date(rate.effectiveAt).toLocaleString()}</td>
+                    <td>${rate.buy}</td>
+                    <td>${rate.sell}</td>
+                    <td>${(rate.buy + rate.sell) / 2}</td>
+                    <td>${this.escapeHtml(rate.createdBy)}</td>
+                `;
+            });
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    // Fills the exchange form with the current rate book values for the chosen currencies
+    async prefillExchangeRates() {
+        const from = document.getElementById('ex-currency-in').value;
+        const to = document.getElementById('ex-currency-out').value;
+        if (!from || !to || from === to) return;
+        
+        try {
+            const quote = await this.apiCall(`/api/money-exchanger/rates/quote?from=${from}&to=${to}`);
+            document.getElementById('ex-rate').value = quote.rate === null ? '' : Number(quote.rate.toPrecision(8));
+            document.getElementById('ex-mid-rate').value = quote.midRate === null ? '' : Number(quote.midRate.toPrecision(8));
+            if (quote.rate === null) {
+                this.showMessage('ex-message', `No ${from}/${to} rate in the rate book. Please enter the rates.`, 'error');
+            }
+            this.updateExchangeSummary();
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    async revalueTransaction(transactionId) {
+        try {
+            const result = await this.apiCall(`/api/money-exchanger/transactions/${transactionId}/revalue?currency=USD`);
+            this.showToast(
+                'Revaluation',
+                `${result.cashType} ${this.formatAmount(result.amount)} was worth ${result.currency} ${this.formatAmount(result.value)} at the rate on ${new Date(result.date).toLocaleString()}`,
+                'info'
+            );
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    // Till Methods
+    async loadTill() {
+        try {
+            const [till, denominations] = await Promise.all([
+                this.apiCall('/api/money-exchanger/till'),
+                this.apiCall('/api/money-exchanger/denominations')
+            ]);
+            this.till = till;
+            this.denominations = denominations.denominations;
+            this.displayTill();
+            this.showDenominationSettings();
+        } catch (error) {
+            console.error('Error loading till sessions:', error);
+        }
+    }
+    
+    displayTill() {
+        const status = document.getElementById('till-status');
+        const countTbody = document.getElementById('till-count-tbody');
+        const historyTbody = document.getElementById('till-history-tbody');
+        if (!status || !countTbody || !historyTbody) return;
+        
+        const current = this.till.current;
+        status.textContent = current
+            ? `Open since ${new Date(current.openedAt).toLocaleString()} (by ${current.openedBy}), ${current.transactions} transaction(s) so far`
+            : 'The till is closed. Count the drawer to open a new session.';
+        document.getElementById('open-till-btn').classList.toggle('hidden', !!current);
+        document.getElementById('close-till-btn').classList.toggle('hidden', !current);
+        document.getElementById('till-count-heading').textContent = current ? 'Closing Count' : 'Opening Count';
+        
+        countTbody.innerHTML = (this.moneyExchangerData.currencies || []).map(currency => `
+            <tr>
+                <td>${currency}</td>
+                <td>${current ? this.formatAmount(current.openingCount[currency] || 0) : '-'}</td>
+                <td>${current ? this.formatAmount(current.expected[currency] || 0) : '-'}</td>
+                <td><input type="number" class="till-count-input" data-currency="${currency}" placeholder="0.00" min="0" step="0.01"></td>
+                <td><button class="btn-action btn-secondary" onclick="app.toggleDenominations('${currency}')">Count Notes</button></td>
+            </tr>
+            <tr id="till-denominations-${currency}" class="hidden">
+                <td colspan="5">
+                    <div class="denomination-grid">
+                        ${(this.denominations[currency] || []).map(value => `
+                            <label>
+                                ${currency} ${value} &times;
+                                <input type="number" class="till-denomination-input" data-currency="${currency}" data-value="${value}" min="0" step="1" placeholder="0">
+                            </label>
+                        `).join('')}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+        
+        historyTbody.innerHTML = this.till.history.length === 0
+            ? '<tr><td colspan="6" style="text-align:center;">No closed sessions yet</td></tr>'
+            : this.till.history.map(session => `
+                <tr>
+                    <td>${new Date(session.openedAt).toLocaleString()}<br>${this.escapeHtml(session.openedBy)}</td>
+                    <td>${new Date(session.closedAt).toLocaleString()}<br>${this.escapeHtml(session.closedBy)}</td>
+                    <td>${this.formatBalances(session.openingCount)}${this.formatBreakdown(session.openingBreakdown)}</td>
+                    <td>${this.formatBalances(session.expected)}</td>
+                    <td>${this.formatBalances(session.closingCount)}${this.formatBreakdown(session.closingBreakdown)}</td>
+                    <td>${this.formatOverShort(session.overShort)}</td>
+                </tr>
+            `).join('');
+    }
+    
+    // Over/short per currency; balanced currencies are left out
+    formatOverShort(overShort) {
+        const differences = Object.entries(overShort || {}).filter(([, amount]) => amount !== 0);
+        if (differences.length === 0) return 'Balanced';
+        return differences
+            .map(([currency, amount]) => `${currency} ${amount > 0 ? 'over' : 'short'} ${this.formatAmount(Math.abs(amount))}`)
+            .join(' · ');
+    }
+    
+    // The notes and coins a count was made of, e.g. "USD 100×12, 50×3"
+    formatBreakdown(breakdown) {
+        const lines = Object.entries(breakdown || {}).filter(([, notes]) => notes.length > 0);
+        if (lines.length === 0) return '';
+        const text = lines
+            .map(([currency, notes]) => `${currency} ${notes.map(note => `${note.value}×${note.count}`).join(', ')}`)
+            .join(' · ');
+        return `<br><small>${text}</small>`;
+    }
+    
+    toggleDenominations(currency) {
+        document.getElementById(`till-denominations-${currency}`).classList.toggle('hidden');
+    }
+    
+    readDenominationCounts(currency) {
+        const counts = {};
+        document.querySelectorAll(`.till-denomination-input[data-currency="${currency}"]`).forEach(input => {
+            const count = parseInt(input.value, 10);
+            if (count > 0) {
+                counts[input.dataset.value] = count;
+            }
+        });
+        return counts;
+    }
+    
+    // Totals the notes counted for a currency into its Counted field
+    updateDenominationTotal(currency) {
+        const counts = this.readDenominationCounts(currency);
+        const input = document.querySelector(`.till-count-input[data-currency="${currency}"]`);
+        const counted = Object.keys(counts).length > 0;
+        
+        input.readOnly = counted;
+        if (counted) {
+            const total = Object.entries(counts).reduce((sum, [value, count]) => sum + Number(value) * count, 0);
+            input.value = Math.round(total * 100) / 100;
+        } else {
+            input.value = '';
+        }
+    }
+    
+    // Currencies counted by note are sent with their breakdown so the server keeps it
+    readTillCounts() {
+        const counts = {};
+        document.querySelectorAll('.till-count-input').forEach(input => {
+            const currency = input.dataset.currency;
+            const denominations = this.readDenominationCounts(currency);
+            if (Object.keys(denominations).length > 0) {
+                counts[currency] = { denominations };
+            } else if (input.value !== '') {
+                counts[currency] = parseFloat(input.value);
+            }
+        });
+        return counts;
+    }
+    
+    showDenominationSettings() {
+        const currency = document.getElementById('denomination-currency').value;
+        document.getElementById('denomination-values').value = (this.denominations[currency] || []).join(', ');
+    }
+    
+    async saveDenominations() {
+        const currency = document.getElementById('denomination-currency').value;
+        if (!currency) {
+            this.showMessage('denomination-message', 'Please select a currency', 'error');
+            return;
+        }
+        
+        try {
+            const response = await this.bookWrite(`/api/money-exchanger/denominations/${currency}`, 'PUT', {
+                values: document.getElementById('denomination-values').value
+            });
+            this.denominations = response.denominations;
+            this.displayTill();
+            this.showDenominationSettings();
+            this.showMessage('denomination-message', response.message, 'success');
+        } catch (error) {
+            this.showMessage('denomination-message', error.message, 'error');
+        }
+    }
+    
+    async openTill() {
+        try {
+            await this.apiCall('/api/money-exchanger/till/open', 'POST', {
+                counts: this.readTillCounts(),
+                notes: document.getElementById('till-notes').value.trim()
+            });
+            document.getElementById('till-notes').value = '';
+            this.showMessage('till-message', 'Till opened', 'success');
+            await this.loadTill();
+        } catch (error) {
+            this.showMessage('till-message', error.message, 'error');
+        }
+    }
+    
+    async closeTill() {
+        if (!confirm('Close the till with these counts? A closed session cannot be changed.')) return;
+        
+        try {
+            const response = await this.apiCall('/api/money-exchanger/till/close', 'POST', {
+                counts: this.readTillCounts(),
+                notes: document.getElementById('till-notes').value.trim()
+            });
+            document.getElementById('till-notes').value = '';
+            this.showMessage('till-message', `Till closed: ${this.formatOverShort(response.session.overShort)}`, 'success');
+            await this.loadTill();
+        } catch (error) {
+            this.showMessage('till-message', error.message, 'error');
+        }
+    }
+    
+    closeMoneyExchanger() {
+        const modal = document.getElementById('money-exchanger-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+    
+    updateOwnersList() {
+        const ownersList = document.getElementById('owners-list');
         const ownerSelects = document.querySelectorAll('[id$="-owner-select"]');
         
-        if (ownersList) {
-            ownersList.textContent = this.moneyExchangerData.owners.length > 0 
-                ? this.moneyExchangerData.owners.join(', ') 
-                : 'None';
+        if (ownersList) {
+            ownersList.textContent = this.moneyExchangerData.owners.length > 0 
+                ? this.moneyExchangerData.owners.join(', ') 
+                : 'None';
+        }
+        
+        ownerSelects.forEach(select => {
+            select.innerHTML = '<option value="">Select Owner</option>';
+            // Use a Set to ensure unique owners
+            const uniqueOwners = [...new Set(this.moneyExchangerData.owners)];
+            uniqueOwners.forEach(owner => {
+                const option = document.createElement('option');
+                option.value = owner;
+                option.textContent = owner;
+                select.appendChild(option);
+            });
+        });
+    }
+    
+    // Cash held across all partners, per currency
+    totalPartnerBalances() {
+        return Object.values(this.moneyExchangerData.partnerBalances || {}).reduce((totals, balances) => {
+            Object.entries(balances).forEach(([currency, amount]) => {
+                totals[currency] = (totals[currency] || 0) + amount;
+            });
+            return totals;
+        }, {});
+    }
+    
+    // Partner Methods
+    async loadPartners() {
+        try {
+            const response = await this.apiCall('/api/money-exchanger/partners');
+            this.partners = response.partners;
+            this.displayPartners();
+        } catch (error) {
+            console.error('Error loading partners:', error);
+        }
+    }
+    
+    displayPartners() {
+        const tbody = document.getElementById('partners-tbody');
+        if (!tbody) return;
+        
+        tbody.innerHTML = this.moneyExchangerData.owners.map(name => {
+            const partner = this.partners.find(p => p.name === name) || { profitShare: 0, capital: {} };
+            const balances = (this.moneyExchangerData.partnerBalances || {})[name] || {};
+            return `
+                <tr>
+                    <td>${this.escapeHtml(name)}</td>
+                    <td><input type="number" class="profit-share-input" data-owner="${this.escapeHtml(name)}" value="${partner.profitShare}" min="0" max="100" step="0.01"></td>
+                    <td>${this.formatBalances(balances)}</td>
+                    <td>${this.formatBalances(partner.capital)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    async saveProfitShares() {
+        const shares = {};
+        document.querySelectorAll('.profit-share-input').forEach(input => {
+            shares[input.dataset.owner] = parseFloat(input.value) || 0;
+        });
+        
+        try {
+            await this.bookWrite('/api/money-exchanger/partners/shares', 'PUT', { shares });
+            await this.loadPartners();
+            this.showToast('Success', 'Profit shares updated successfully', 'success');
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    async addCapitalContribution() {
+        const entry = {
+            owner: document.getElementById('capital-owner-select').value,
+            amount: parseFloat(document.getElementById('capital-amount').value),
+            cashType: document.getElementById('capital-cash-type').value,
+            description: document.getElementById('capital-desc').value.trim()
+        };
+        
+        try {
+            const response = await this.createLedgerEntry('/api/money-exchanger/ledger/capital', entry);
+            this.applyLedgerResponse(response);
+            document.getElementById('capital-amount').value = '';
+            document.getElementById('capital-desc').value = '';
+            this.loadPartners();
+            this.showMessage('capital-message', 'Capital contribution recorded successfully', 'success');
+        } catch (error) {
+            this.showMessage('capital-message', error.message, 'error');
+        }
+    }
+    
+    async showProfitDistribution() {
+        const startDate = document.getElementById('distribution-start-date').value;
+        const endDate = document.getElementById('distribution-end-date').value;
+        
+        if (!startDate || !endDate) {
+            this.showToast('Error', 'Please select both start and end dates', 'error');
+            return;
+        }
+        
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999); // Include end date
+        const query = new URLSearchParams({ from: new Date(startDate).toISOString(), to: end.toISOString() });
+        
+        try {
+            const report = await this.apiCall(`/api/money-exchanger/partners/distribution?${query}`);
+            
+            let summary = `Net profit for the period: $${this.formatAmount(report.profit.net)}`;
+            if (!report.sharesConfigured) {
+                summary += ' (no profit shares set, split equally)';
+            }
+            if (report.unconverted.length > 0) {
+                summary += `. Not included (no USD rate): ${report.unconverted.map(line => `${line.category} ${line.currency} ${this.formatAmount(line.amount)}`).join(', ')}`;
+            }
+            document.getElementById('distribution-summary').textContent = summary;
+            
+            document.getElementById('distribution-tbody').innerHTML = report.distribution.map(partner => `
+                <tr>
+                    <td>${this.escapeHtml(partner.name)}</td>
+                    <td>${partner.profitShare}%</td>
+                    <td>$${this.formatAmount(partner.amount)}</td>
+                </tr>
+            `).join('');
+            document.getElementById('distribution-report').classList.remove('hidden');
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    // Customer Methods
+    async loadCustomers() {
+        try {
+            const response = await this.apiCall('/api/money-exchanger/customers');
+            this.customerDirectory = response.customers;
+            this.updateCustomersList();
+            this.updateMoneyExchangerStats();
+            this.displayCustomers(this.customerDirectory);
+        } catch (error) {
+            console.error('Error loading customers:', error);
+        }
+    }
+    
+    // Customers with the same name and phones are told apart by the end of their ID
+    customerLabel(customer) {
+        const label = customer.phones && customer.phones.length > 0
+            ? `${customer.name} (${customer.phones.join(', ')})`
+            : customer.name;
+        const duplicate = this.customerDirectory.some(other => other.id !== customer.id &&
+            other.name === customer.name && (other.phones || []).join() === (customer.phones || []).join());
+        return duplicate ? `${label} #${customer.id.slice(-4)}` : label;
+    }
+    
+    // The customer picked in a datalist input; a plain name matches when only one customer has it
+    findCustomerByLabel(value) {
+        const text = value.trim();
+        if (!text) return null;
+        
+        const byLabel = this.customerDirectory.find(customer => this.customerLabel(customer) === text);
+        if (byLabel) return byLabel;
+        
+        const byName = this.customerDirectory.filter(customer => customer.name.toLowerCase() === text.toLowerCase());
+        return byName.length === 1 ? byName[0] : null;
+    }
+    
+    async searchCustomers() {
+        const search = document.getElementById('customer-search').value.trim();
+        if (!search) {
+            this.displayCustomers(this.customerDirectory);
+            return;
         }
         
-        ownerSelects.forEach(select => {
-            select.innerHTML = '<option value="">Select Owner</option>';
-            // Use a Set to ensure unique owners
-            const uniqueOwners = [...new Set(this.moneyExchangerData.owners)];
-            uniqueOwners.forEach(owner => {
-                const option = document.createElement('option');
-                option.value = owner;
-                option.textContent = owner;
-                select.appendChild(option);
-            });
+        try {
+            const response = await this.apiCall(`/api/money-exchanger/customers?search=${encodeURIComponent(search)}`);
+            this.displayCustomers(response.customers);
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    displayCustomers(customers) {
+        const tbody = document.getElementById('customers-tbody');
+        if (!tbody) return;
+        
+        if (customers.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;">No customers found</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = customers.map(customer => `
+            <tr>
+                <td>${this.escapeHtml(customer.name)}</td>
+                <td>${this.escapeHtml((customer.phones || []).join(', '))}</td>
+                <td>${this.escapeHtml(customer.idNumber)}</td>
+                <td>${this.escapeHtml((customer.tags || []).join(', '))}</td>
+                <td>${this.formatBalances(this.moneyExchangerData.customers[customer.id] || {})}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-edit" onclick="app.editCustomer('${customer.id}')">Edit</button>
+                        <button class="btn-action btn-secondary" onclick="app.renameCustomer('${customer.id}')">Rename</button>
+                        <button class="btn-action btn-secondary" onclick="app.openCustomerStatement('${customer.id}')">Statement</button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+    
+    editCustomer(customerId) {
+        const customer = this.customerDirectory.find(c => c.id === customerId);
+        if (!customer) return;
+        
+        this.editingCustomerId = customerId;
+        document.getElementById('customer-name').value = customer.name;
+        document.getElementById('customer-name').disabled = true;
+        document.getElementById('customer-phones').value = (customer.phones || []).join(', ');
+        document.getElementById('customer-id-number').value = customer.idNumber || '';
+        document.getElementById('customer-address').value = customer.address || '';
+        document.getElementById('customer-tags').value = (customer.tags || []).join(', ');
+        document.getElementById('customer-notes').value = customer.notes || '';
+        document.getElementById('save-customer-btn').textContent = 'Update Customer';
+    }
+    
+    async saveCustomer() {
+        const profile = {
+            phones: document.getElementById('customer-phones').value,
+            idNumber: document.getElementById('customer-id-number').value.trim(),
+            address: document.getElementById('customer-address').value.trim(),
+            tags: document.getElementById('customer-tags').value,
+            notes: document.getElementById('customer-notes').value.trim()
+        };
+        
+        try {
+            if (this.editingCustomerId) {
+                await this.apiCall(`/api/money-exchanger/customers/${this.editingCustomerId}`, 'PATCH', profile);
+            } else {
+                profile.name = document.getElementById('customer-name').value.trim();
+                await this.apiCall('/api/money-exchanger/customers', 'POST', profile);
+            }
+            this.showMessage('customer-message', this.editingCustomerId ? 'Customer updated successfully' : 'Customer added successfully', 'success');
+            this.clearCustomerForm();
+            await this.loadCustomers();
+        } catch (error) {
+            this.showMessage('customer-message', error.message, 'error');
+        }
+    }
+    
+    // Rename and merge change past transactions too, so the list is reloaded afterwards
+    applyCustomerChange(response, message) {
+        this.moneyExchangerData.customers = response.customers;
+        this.moneyExchangerData.partnerBalances = response.partnerBalances;
+        this.updateMoneyExchangerUI();
+        this.loadCustomers();
+        this.loadTransactions();
+        this.showToast('Success', `${message} (${response.transactions} transaction(s) updated)`, 'success');
+    }
+    
+    async renameCustomer(customerId) {
+        const customer = this.customerDirectory.find(c => c.id === customerId);
+        if (!customer) return;
+        
+        const name = prompt(`Rename ${customer.name} to:`, customer.name);
+        if (name === null || !name.trim() || name.trim() === customer.name) return;
+        
+        try {
+            const response = await this.bookWrite(`/api/money-exchanger/customers/${customerId}/rename`, 'POST', { name: name.trim() });
+            this.applyCustomerChange(response, `${customer.name} renamed to ${response.customer.name}`);
+        } catch (error) {
+            // Error already shown by apiCall
+        }
+    }
+    
+    async mergeCustomers() {
+        const sourceId = document.getElementById('merge-source-select').value;
+        const targetId = document.getElementById('merge-target-select').value;
+        const source = this.customerDirectory.find(c => c.id === sourceId);
+        const target = this.customerDirectory.find(c => c.id === targetId);
+        
+        if (!source || !target) {
+            this.showMessage('merge-message', 'Please select both customers', 'error');
+            return;
+        }
+        if (sourceId === targetId) {
+            this.showMessage('merge-message', 'Please select two different customers to merge', 'error');
+            return;
+        }
+        if (!confirm(`Merge ${this.customerLabel(source)} into ${this.customerLabel(target)}? Their balances and transactions will be combined and ${source.name} will be removed.`)) {
+            return;
+        }
+        
+        try {
+            const response = await this.bookWrite(`/api/money-exchanger/customers/${sourceId}/merge`, 'POST', { into: targetId });
+            this.applyCustomerChange(response, `${source.name} merged into ${target.name}`);
+        } catch (error) {
+            this.showMessage('merge-message', error.message, 'error');
+        }
+    }
+    
+    // Customer Statements
+    async fetchCustomerStatement() {
+        const customerId = document.getElementById('statement-customer-select').value;
+        const startDate = document.getElementById('statement-start-date').value;
+        const endDate = document.getElementById('statement-end-date').value;
+        
+        if (!customerId) {
+            this.showToast('Error', 'Please select a customer', 'error');
+            return null;
+        }
+        
+        const params = new URLSearchParams();
+        if (startDate) {
+            params.set('from', new Date(startDate).toISOString());
+        }
+        if (endDate) {
+            const end = new Date(endDate);
+            end.setHours(23, 59, 59, 999); // Include end date
+            params.set('to', end.toISOString());
+        }
+        
+        try {
+            return await this.apiCall(`/api/money-exchanger/customers/${customerId}/statement?${params}`);
+        } catch (error) {
+            return null; // Error already shown by apiCall
+        }
+    }
+    
+    openCustomerStatement(customerId) {
+        document.getElementById('statement-customer-select').value = customerId;
+        this.showCustomerStatement();
+    }
+    
+    async showCustomerStatement() {
+        const statement = await this.fetchCustomerStatement();
+        if (!statement) return;
+        
+        document.getElementById('statement-summary').innerHTML = `
+            <p><strong>${this.escapeHtml(statement.customer.name)}</strong> ${this.statementPeriod(statement)}</p>
+            <p>Opening balance: ${this.formatBalances(statement.opening)} &middot; Closing balance: ${this.formatBalances(statement.closing)}</p>
+        `;
+        
+        const tbody = document.getElementById('statement-tbody');
+        tbody.innerHTML = statement.rows.length === 0
+            ? '<tr><td colspan="7" style="text-align:center;">No transactions in this period</td></tr>'
+            : statement.rows.map(row => `
+                <tr class="${row.status === 'voided' ? 'voided-row' : ''}">
+                    <td>${new Date(row.date).toLocaleString()}</td>
+                    <td>${row.type}</td>
+                    <td>${this.escapeHtml(row.counterparty)}</td>
+                    <td>${this.escapeHtml(row.description)}</td>
+                    <td>${this.formatAmount(row.amount)} ${row.currency}</td>
+                    <td>${this.formatAmount(row.balance)} ${row.currency}</td>
+                    <td>${this.reportStatusLabel(row)}</td>
+                </tr>
+            `).join('');
+        
+        document.getElementById('statement-result').classList.remove('hidden');
+    }
+    
+    statementPeriod(statement) {
+        const from = statement.from ? new Date(statement.from).toLocaleDateString() : 'the beginning';
+        const to = new Date(statement.to || statement.generatedAt).toLocaleDateString();
+        return `from ${from} to ${to}`;
+    }
+    
+    statementFileName(statement, extension) {
+        const name = statement.customer.name.replace(/[^a-z0-9]+/gi, '_');
+        return `Statement_${name}_${new Date(statement.generatedAt).toISOString().split('T')[0]}.${extension}`;
+    }
+    
+    async generateStatementPDF() {
+        const statement = await this.fetchCustomerStatement();
+        if (!statement) return;
+        
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF();
+        
+        doc.setFontSize(18);
+        doc.text(statement.businessName, 105, 15, { align: 'center' });
+        doc.setFontSize(14);
+        doc.text('Customer Statement', 105, 24, { align: 'center' });
+        
+        doc.setFontSize(11);
+        const phones = (statement.customer.phones || []).join(', ');
+        doc.text(`Customer: ${statement.customer.name}${phones ? ` (${phones})` : ''}`, 20, 36);
+        doc.text(`Period: ${this.statementPeriod(statement)}`, 20, 43);
+        doc.text(`Generated: ${new Date(statement.generatedAt).toLocaleString()}`, 20, 50);
+        doc.text(`Opening Balance: ${this.formatBalances(statement.opening)}`, 20, 57);
+        
+        doc.setFontSize(10);
+        doc.text('Date', 20, 70);
+        doc.text('Type', 45, 70);
+        doc.text('With', 70, 70);
+        doc.text('Description', 100, 70);
+        doc.text('Amount', 140, 70);
+        doc.text('Balance', 172, 70);
+        
+        let yPosition = 80;
+        statement.rows.forEach(row => {
+            if (yPosition > 270) { // Add new page if needed
+                doc.addPage();
+                yPosition = 20;
+            }
+            
+            doc.text(new Date(row.date).toLocaleDateString(), 20, yPosition);
+            doc.text(row.type, 45, yPosition);
+            doc.text(String(row.counterparty || ''), 70, yPosition);
+            doc.text(String(row.description || '').slice(0, 22), 100, yPosition);
+            doc.text(`${this.formatAmount(row.amount)} ${row.currency}`, 140, yPosition);
+            doc.text(`${this.formatAmount(row.balance)} ${row.currency}`, 172, yPosition);
+            
+            yPosition += 10;
+        });
+        
+        doc.setFontSize(11);
+        doc.text(`Closing Balance: ${this.formatBalances(statement.closing)}`, 20, yPosition + 10);
+        
+        doc.save(this.statementFileName(statement, 'pdf'));
+        this.showToast('Success', 'Statement PDF generated successfully', 'success');
+    }
+    
+    async generateStatementExcel() {
+        const statement = await this.fetchCustomerStatement();
+        if (!statement) return;
+        
+        const wb = XLSX.utils.book_new();
+        const statementData = [
+            [statement.businessName],
+            ['Customer Statement'],
+            ['Customer', statement.customer.name],
+            ['Phones', (statement.customer.phones || []).join(', ')],
+            ['Period', this.statementPeriod(statement)],
+            ['Generated', new Date(statement.generatedAt).toLocaleString()],
+            [],
+            ['Opening Balance'],
+            ...Object.entries(statement.opening),
+            [],
+            ['Date', 'Type', 'With', 'Description', 'Currency', 'Amount', 'Balance', 'Status']
+        ];
+        
+        statement.rows.forEach(row => {
+            statementData.push([
+                new Date(row.date).toLocaleString(),
+                row.type,
+                row.counterparty,
+                row.description,
+                row.currency,
+                row.amount,
+                row.balance,
+                this.reportStatusLabel(row)
+            ]);
+        });
+        
+        statementData.push([], ['Closing Balance'], ...Object.entries(statement.closing));
+        
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(statementData), 'Statement');
+        XLSX.writeFile(wb, this.statementFileName(statement, 'xlsx'));
+        this.showToast('Success', 'Statement Excel file generated successfully', 'success');
+    }
+    
+    clearCustomerForm() {
+        this.editingCustomerId = null;
+        ['customer-name', 'customer-phones', 'customer-id-number', 'customer-address', 'customer-tags', 'customer-notes'].forEach(id => {
+            document.getElementById(id).value = '';
         });
+        document.getElementById('customer-name').disabled = false;
+        document.getElementById('save-customer-btn').textContent = 'Add Customer';
     }
     
     async addOwner() {
@@ -558,8 +2765,9 @@ updateClientsTable(clients) {
         }
         
         try {
-            await this.apiCall('/api/money-exchanger/owners', 'POST', { name });
-            this.moneyExchangerData.owners.push(name);
+            const response = await this.bookWrite('/api/money-exchanger/owners', 'POST', { name });
+            this.moneyExchangerData.owners = response.owners;
+            this.loadPartners();
             nameInput.value = '';
             this.updateOwnersList();
             this.showToast('Success', 'Owner added successfully', 'success');
@@ -636,123 +2844,94 @@ updateClientsTable(clients) {
         }
         
         if (tabId === 'all-transactions-tab') {
-            this.displayMoneyExchangerTransactions();
+            this.loadTransactions();
+        }
+        
+        if (tabId === 'customers-tab') {
+            this.loadCustomers();
         }
     }
     
-    async addNewPersonTransaction() {
-        const isPayerOwner = document.getElementById('np-payer-owner-chk').checked;
-        const isPayerCustomer = document.getElementById('np-payer-customer-chk').checked;
-        const isPayeeOwner = document.getElementById('np-payee-owner-chk').checked;
-        const isPayeeCustomer = document.getElementById('np-payee-customer-chk').checked;
+    // Reads the payer and payee checkboxes of the New Person / Old Person forms. New
+    // customers are sent with their name and phone, existing ones by their ID.
+    readTransactionParties(prefix, messageId) {
+        const isPayerOwner = document.getElementById(`${prefix}-payer-owner-chk`).checked;
+        const isPayerCustomer = document.getElementById(`${prefix}-payer-customer-chk`).checked;
+        const isPayeeOwner = document.getElementById(`${prefix}-payee-owner-chk`).checked;
+        const isPayeeCustomer = document.getElementById(`${prefix}-payee-customer-chk`).checked;
         
         if (!isPayerOwner && !isPayerCustomer) {
-            this.showMessage('np-message', 'Please select who is paying (Payer)', 'error');
-            return;
+            this.showMessage(messageId, 'Please select who is paying (Payer)', 'error');
+            return null;
         }
         
         if (!isPayeeOwner && !isPayeeCustomer) {
-            this.showMessage('np-message', 'Please select who is receiving (Payee)', 'error');
-            return;
+            this.showMessage(messageId, 'Please select who is receiving (Payee)', 'error');
+            return null;
         }
         
-        let payerName = '';
-        let payerType = '';
-        let receiverName = '';
-        let receiverType = '';
-        
-        if (isPayerOwner) {
-            payerName = document.getElementById('np-payer-owner-select').value;
-            payerType = 'owner';
-        } else {
-            payerName = document.getElementById('np-payer-customer-name').value.trim();
-            payerType = 'customer';
-        }
-        
-        if (isPayeeOwner) {
-            receiverName = document.getElementById('np-payee-owner-select').value;
-            receiverType = 'owner';
-        } else {
-            receiverName = document.getElementById('np-payee-customer-name').value.trim();
-            receiverType = 'customer';
-        }
-        
-        if (payerName === receiverName) {
-            this.showMessage('np-message', 'Payer and Payee cannot be the same person', 'error');
-            return;
-        }
-        
-        const amount = parseFloat(document.getElementById('np-amount').value);
-        const desc = document.getElementById('np-desc').value.trim();
-        const cashType = document.getElementById('np-cash-type').value;
+        const readCustomer = (role) => {
+            const name = document.getElementById(`${prefix}-${role}-customer-name`).value.trim();
+            if (prefix === 'np') {
+                return { type: 'customer', name, phone: document.getElementById(`np-${role}-customer-phone`).value.trim() };
+            }
+            const customer = this.findCustomerByLabel(name);
+            return { type: 'customer', id: customer && customer.id, name: customer ? customer.name : name };
+        };
         
-        if (!amount || amount <= 0) {
-            this.showMessage('np-message', 'Please enter valid amount', 'error');
-            return;
-        }
+        const payer = isPayerOwner
+            ? { type: 'owner', name: document.getElementById(`${prefix}-payer-owner-select`).value }
+            : readCustomer('payer');
         
-        if (!cashType) {
-            this.showMessage('np-message', 'Please select cash type', 'error');
-            return;
-        }
+        const receiver = isPayeeOwner
+            ? { type: 'owner', name: document.getElementById(`${prefix}-payee-owner-select`).value }
+            : readCustomer('payee');
         
-        // Check if customer already exists
-        if (payerType === 'customer' && this.moneyExchangerData.customers[payerName] !== undefined) {
-            this.showMessage('np-message', 'Payer customer already exists. Use Old Person tab instead.', 'error');
-            return;
+        const isSamePerson = payer.type === receiver.type && (payer.id
+            ? payer.id === receiver.id
+            : payer.name === receiver.name && (payer.phone || '') === (receiver.phone || ''));
+        if (isSamePerson) {
+            this.showMessage(messageId, 'Payer and Payee cannot be the same person', 'error');
+            return null;
         }
         
-        if (receiverType === 'customer' && this.moneyExchangerData.customers[receiverName] !== undefined) {
-            this.showMessage('np-message', 'Payee customer already exists. Use Old Person tab instead.', 'error');
-            return;
+        return { payer, receiver };
+    }
+    
+    // The server validates ledger entries and returns the balances after applying them
+    applyLedgerResponse(response) {
+        // A repeated submission gets the original entry back, which may already be listed
+        if (!this.moneyExchangerData.transactions.some(t => t.id === response.transaction.id)) {
+            this.moneyExchangerData.transactions.unshift(response.transaction);
+            this.moneyExchangerData.todayTransactionsCount++;
         }
+        this.moneyExchangerData.customers = response.customers;
+        this.moneyExchangerData.partnerBalances = response.partnerBalances;
+        this.updateMoneyExchangerUI();
         
-        // Debt Validation: Check if payer has outstanding debt before lending
-        if (payerType === 'owner' && this.moneyExchangerData.ownerBalance < 0) {
-            this.showMessage('np-message', 'You already have outstanding debt. Please clear your debt before lending to others.', 'error');
-            return;
+        if (response.transaction.kind === 'new-person') {
+            this.loadCustomers();
         }
         
-        if (payerType === 'customer' && this.moneyExchangerData.customers[payerName] < 0) {
-            this.showMessage('np-message', 'You already have outstanding debt. Please clear your debt before lending to others.', 'error');
-            return;
+        if (response.transaction.pnl && response.transaction.pnl.length > 0) {
+            this.loadProfitSummary();
         }
+    }
+    
+    async addNewPersonTransaction() {
+        const parties = this.readTransactionParties('np', 'np-message');
+        if (!parties) return;
         
         const transaction = {
-            date: new Date().toISOString(),
-            type: 'New Person',
-            payer: payerName,
-            receiver: receiverName,
-            amount: amount,
-            description: desc,
-            cashType: cashType
+            ...parties,
+            amount: parseFloat(document.getElementById('np-amount').value),
+            description: document.getElementById('np-desc').value.trim(),
+            cashType: document.getElementById('np-cash-type').value
         };
         
         try {
-            const response = await this.apiCall('/api/money-exchanger/transactions', 'POST', transaction);
-            
-            // Use the transaction returned from server (with ID)
-            this.moneyExchangerData.transactions.push(response.transaction);
-            
-            // Debt Creation: Update balances according to rules
-            if (payerType === 'owner') {
-                this.moneyExchangerData.ownerBalance -= amount; // Payer's account decreases
-                if (receiverType === 'customer') {
-                    this.moneyExchangerData.customers[receiverName] = amount; // Receiver's account increases
-                }
-            } else if (payerType === 'customer') {
-                if (receiverType === 'owner') {
-                    this.moneyExchangerData.ownerBalance += amount; // Receiver's account increases
-                    this.moneyExchangerData.customers[payerName] = -amount; // Payer's account decreases
-                } else if (receiverType === 'customer') {
-                    this.moneyExchangerData.customers[payerName] = -amount; // Payer's account decreases
-                    this.moneyExchangerData.customers[receiverName] = amount; // Receiver's account increases
-                }
-            }
-            
-            await this.saveMoneyExchangerData();
-            
-            this.updateMoneyExchangerUI();
+            const response = await this.createLedgerEntry('/api/money-exchanger/ledger/new-person', transaction);
+            this.applyLedgerResponse(response);
             this.clearNewPersonForm();
             this.showMessage('np-message', 'Transaction added successfully', 'success');
         } catch (error) {
@@ -762,243 +2941,44 @@ updateClientsTable(clients) {
     
     // Show customer balance when selected in old person tab
     setupOldPersonCustomerListeners() {
-        const payerCustomerInput = document.getElementById('op-payer-customer-name');
-        const payeeCustomerInput = document.getElementById('op-payee-customer-name');
-        
-        if (payerCustomerInput) {
-            payerCustomerInput.addEventListener('input', (e) => {
-                const customerName = e.target.value.trim();
-                const balanceDiv = document.getElementById('op-payer-customer-balance');
-                
-                if (customerName && this.moneyExchangerData.customers[customerName] !== undefined) {
-                    const balance = this.moneyExchangerData.customers[customerName];
-                    balanceDiv.textContent = `Balance: $${balance.toFixed(2)}`;
-                    balanceDiv.style.display = 'block';
-                } else {
-                    balanceDiv.style.display = 'none';
-                }
-            });
-        }
-        
-        if (payeeCustomerInput) {
-            payeeCustomerInput.addEventListener('input', (e) => {
-                const customerName = e.target.value.trim();
-                const balanceDiv = document.getElementById('op-payee-customer-balance');
-                
-                if (customerName && this.moneyExchangerData.customers[customerName] !== undefined) {
-                    const balance = this.moneyExchangerData.customers[customerName];
-                    balanceDiv.textContent = `Balance: $${balance.toFixed(2)}`;
-                    balanceDiv.style.display = 'block';
-                } else {
-                    balanceDiv.style.display = 'none';
-                }
-            });
-        }
-    }
-    
-    handleOldPersonTransaction(type) {
-        // Get form values
-        const isPayerOwner = document.getElementById('op-payer-owner-chk').checked;
-        const isPayerCustomer = document.getElementById('op-payer-customer-chk').checked;
-        const isPayeeOwner = document.getElementById('op-payee-owner-chk').checked;
-        const isPayeeCustomer = document.getElementById('op-payee-customer-chk').checked;
-        
-        if (!isPayerOwner && !isPayerCustomer) {
-            this.showMessage('op-message', 'Please select who is paying (Payer)', 'error');
-            return;
-        }
-        
-        if (!isPayeeOwner && !isPayeeCustomer) {
-            this.showMessage('op-message', 'Please select who is receiving (Payee)', 'error');
-            return;
-        }
-        
-        let payerName = '';
-        let payerType = '';
-        let receiverName = '';
-        let receiverType = '';
-        
-        if (isPayerOwner) {
-            payerName = document.getElementById('op-payer-owner-select').value;
-            payerType = 'owner';
-        } else {
-            payerName = document.getElementById('op-payer-customer-name').value.trim();
-            payerType = 'customer';
-        }
-        
-        if (isPayeeOwner) {
-            receiverName = document.getElementById('op-payee-owner-select').value;
-            receiverType = 'owner';
-        } else {
-            receiverName = document.getElementById('op-payee-customer-name').value.trim();
-            receiverType = 'customer';
-        }
-        
-        if (payerName === receiverName) {
-            this.showMessage('op-message', 'Payer and Payee cannot be the same person', 'error');
-            return;
-        }
-        
-        const amount = parseFloat(document.getElementById('op-amount').value);
-        const desc = document.getElementById('op-desc').value.trim();
-        const cashType = document.getElementById('op-cash-type').value;
-        
-        if (!amount || amount <= 0) {
-            this.showMessage('op-message', 'Please enter valid amount', 'error');
-            return;
-        }
-        
-        if (!cashType) {
-            this.showMessage('op-message', 'Please select cash type', 'error');
-            return;
-        }
-        
-        // Check if customer exists
-        if (payerType === 'customer' && this.moneyExchangerData.customers[payerName] === undefined) {
-            this.showMessage('op-message', 'Payer customer does not exist. Use New Person tab instead.', 'error');
-            return;
-        }
-        
-        if (receiverType === 'customer' && this.moneyExchangerData.customers[receiverName] === undefined) {
-            this.showMessage('op-message', 'Receiver customer does not exist. Use New Person tab instead.', 'error');
-            return;
-        }
-        
-        // Partial Payment Validation
-        if (type === 'PR') {
-            if (payerType === 'customer') {
-                const currentBalance = this.moneyExchangerData.customers[payerName];
-                if (currentBalance >= 0) {
-                    this.showMessage('op-message', 'This customer does not have any debt to make a partial payment.', 'error');
-                    return;
-                }
-                const debtAmount = Math.abs(currentBalance);
-                if (amount >= debtAmount) {
-                    this.showMessage('op-message', 'Amount must be less than the total debt for a partial payment. Use Full Payment for exact amount.', 'error');
-                    return;
-                }
-            } else if (payerType === 'owner') {
-                if (this.moneyExchangerData.ownerBalance >= 0) {
-                    this.showMessage('op-message', 'Owner does not have any debt to make a partial payment.', 'error');
-                    return;
-                }
-                const debtAmount = Math.abs(this.moneyExchangerData.ownerBalance);
-                if (amount >= debtAmount) {
-                    this.showMessage('op-message', 'Amount must be less than the total debt for a partial payment. Use Full Payment for exact amount.', 'error');
-                    return;
-                }
-            }
-        }
-        
-        // Full Payment Validation
-        if (type === 'Full') {
-            if (payerType === 'customer') {
-                const currentBalance = this.moneyExchangerData.customers[payerName];
-                if (currentBalance >= 0) {
-                    this.showMessage('op-message', 'This customer does not have any debt to make a full payment.', 'error');
-                    return;
-                }
-                const debtAmount = Math.abs(currentBalance);
-                if (amount !== debtAmount) {
-                    this.showMessage('op-message', `Amount must be exactly $${debtAmount.toFixed(2)} for a full payment.`, 'error');
-                    return;
-                }
-            } else if (payerType === 'owner') {
-                if (this.moneyExchangerData.ownerBalance >= 0) {
-                    this.showMessage('op-message', 'Owner does not have any debt to make a full payment.', 'error');
-                    return;
-                }
-                const debtAmount = Math.abs(this.moneyExchangerData.ownerBalance);
-                if (amount !== debtAmount) {
-                    this.showMessage('op-message', `Amount must be exactly $${debtAmount.toFixed(2)} for a full payment.`, 'error');
-                    return;
-                }
-            }
-        }
-        
-        // Debt Validation
-        if (type === 'Debt') {
-            if (payerType === 'owner' && this.moneyExchangerData.ownerBalance < 0) {
-                this.showMessage('op-message', 'You already have outstanding debt. Please clear your debt before lending to others.', 'error');
-                return;
-            }
-            
-            if (payerType === 'customer' && this.moneyExchangerData.customers[payerName] < 0) {
-                this.showMessage('op-message', 'You already have outstanding debt. Please clear your debt before lending to others.', 'error');
-                return;
-            }
-        }
+        ['payer', 'payee'].forEach(role => {
+            const customerInput = document.getElementById(`op-${role}-customer-name`);
+            if (!customerInput) return;
+            
+            customerInput.addEventListener('input', (e) => {
+                const customer = this.findCustomerByLabel(e.target.value);
+                const balanceDiv = document.getElementById(`op-${role}-customer-balance`);
+                
+                if (customer) {
+                    const balances = this.moneyExchangerData.customers[customer.id] || {};
+                    balanceDiv.textContent = `Balance: ${this.formatBalances(balances)}`;
+                    balanceDiv.style.display = 'block';
+                } else {
+                    balanceDiv.style.display = 'none';
+                }
+            });
+        });
+    }
+    
+    async handleOldPersonTransaction(type) {
+        const parties = this.readTransactionParties('op', 'op-message');
+        if (!parties) return;
         
-        // Create transaction
         const transaction = {
-            date: new Date().toISOString(),
-            type: `Old Person (${type})`,
-            payer: payerName,
-            receiver: receiverName,
-            amount: amount,
-            description: desc,
-            cashType: cashType
+            ...parties,
+            amount: parseFloat(document.getElementById('op-amount').value),
+            description: document.getElementById('op-desc').value.trim(),
+            cashType: document.getElementById('op-cash-type').value
         };
         
-        // Add transaction and update balances based on transaction type
-        this.moneyExchangerData.transactions.push(transaction);
-        
-        if (payerType === 'owner') {
-            // Owner is paying
-            this.moneyExchangerData.ownerBalance -= amount;
-            if (receiverType === 'customer') {
-                // Customer is receiving
-                this.moneyExchangerData.customers[receiverName] += amount;
-            }
-        } else if (payerType === 'customer') {
-            // Customer is paying
-            const currentBalance = this.moneyExchangerData.customers[payerName];
-            
-            if (type === 'PR') {
-                // Partial payment - reduce debt
-                this.moneyExchangerData.customers[payerName] = currentBalance - amount;
-                if (receiverType === 'owner') {
-                    this.moneyExchangerData.ownerBalance += amount;
-                }
-            } else if (type === 'Full') {
-                // Full payment - clear debt
-                this.moneyExchangerData.customers[payerName] = 0;
-                if (receiverType === 'owner') {
-                    this.moneyExchangerData.ownerBalance += amount;
-                }
-            } else if (type === 'Debt') {
-                if (payerType === 'customer') {
-                    // Customer paying debt
-                    if (currentBalance > 0) {
-                        this.showMessage('op-message', 'You cannot pay debt because owner owes you money.', 'error');
-                        return;
-                    } else {
-                        // allowed to pay debt
-                        this.moneyExchangerData.customers[payerName] = currentBalance - amount;
-                        if (receiverType === 'owner') {
-                            this.moneyExchangerData.ownerBalance += amount;
-                        }
-                    }
-                } else if (payerType === 'owner') {
-                    // Owner giving debt to customer
-                    const customerBalance = this.moneyExchangerData.customers[receiverName] || 0; // get customer's balance
-                    if (customerBalance < 0) {
-                        this.showMessage('op-message', 'Cannot issue debt because customer already owes money.', 'error');
-                        return;
-                    } else {
-                        // allowed to issue debt
-                        this.moneyExchangerData.customers[receiverName] = customerBalance - amount; // update customer balance
-                        this.moneyExchangerData.ownerBalance += amount; // update owner balance
-                    }
-                }
-            }
+        try {
+            const response = await this.createLedgerEntry(`/api/money-exchanger/ledger/${type.toLowerCase()}`, transaction);
+            this.applyLedgerResponse(response);
+            this.clearOldPersonForm();
+            this.showMessage('op-message', `${type} transaction added successfully`, 'success');
+        } catch (error) {
+            this.showMessage('op-message', error.message, 'error');
         }
-        
-        // Save and update UI
-        this.saveMoneyExchangerData();
-        this.updateMoneyExchangerUI();
-        this.clearOldPersonForm();
-        this.showMessage('op-message', `${type} transaction added successfully`, 'success');
     }
     
     // Show/hide adjustment options
@@ -1010,181 +2990,87 @@ updateClientsTable(clients) {
         }
     }
     
-    handleGeneralEntry(type) {
-        console.log('handleGeneralEntry called with type:', type);
-        
-        const amount = parseFloat(document.getElementById('ge-amount').value);
-        const desc = document.getElementById('ge-desc').value.trim();
-        
-        if (!amount || amount <= 0) {
-            this.showMessage('ge-message', 'Please enter valid amount', 'error');
-            return;
-        }
-        
-        if (!desc) {
-            this.showMessage('ge-message', 'Please enter description', 'error');
-            return;
-        }
-        
-        let payer = 'System';
-        let receiver = 'System';
+    async handleGeneralEntry(type) {
+        const entry = {
+            amount: parseFloat(document.getElementById('ge-amount').value),
+            description: document.getElementById('ge-desc').value.trim(),
+            cashType: document.getElementById('ge-cash-type').value,
+            owner: document.getElementById('ge-owner-select').value
+        };
         
-        // For Adjustment transactions, set actual payer and receiver names
         if (type === 'Adjustment') {
-            console.log('Processing adjustment transaction');
-            
-            // Get adjustment type (Owner or Customer)
             const isAdjustmentOwner = document.getElementById('adjustment-owner-chk').checked;
             const isAdjustmentCustomer = document.getElementById('adjustment-customer-chk').checked;
             
-            console.log('Adjustment Owner checked:', isAdjustmentOwner);
-            console.log('Adjustment Customer checked:', isAdjustmentCustomer);
-            
             if (!isAdjustmentOwner && !isAdjustmentCustomer) {
                 this.showMessage('ge-message', 'Please select who is being adjusted (Owner or Customer)', 'error');
                 return;
             }
             
-            let personName = '';
-            let personType = '';
-            
-            if (isAdjustmentOwner) {
-                personName = document.getElementById('adjustment-owner-select').value;
-                personType = 'owner';
-            } else {
-                personName = document.getElementById('adjustment-customer-select').value;
-                personType = 'customer';
-            }
-            
-            console.log('Person name:', personName);
-            console.log('Person type:', personType);
-            
-            if (!personName) {
-                this.showMessage('ge-message', `Please select a ${personType}`, 'error');
-                return;
-            }
-            
-            // Check if customer exists
-            if (personType === 'customer' && this.moneyExchangerData.customers[personName] === undefined) {
-                this.showMessage('ge-message', `Customer ${personName} does not exist`, 'error');
-                return;
-            }
-            
-            // Get adjustment direction
-            const adjustmentDirection = document.querySelector('input[name="adjustment-direction"]:checked')?.value;
-            
-            console.log('Adjustment direction:', adjustmentDirection);
-            
-            if (!adjustmentDirection) {
-                this.showMessage('ge-message', 'Please select adjustment direction (+ or -)', 'error');
-                return;
-            }
-            
-            // Set payer and receiver based on adjustment type and direction
-            if (personType === 'owner') {
-                if (adjustmentDirection === '+') {
-                    // Money is added to owner's account (System → Owner)
-                    payer = 'System';
-                    receiver = personName;
-                } else {
-                    // Money is deducted from owner's account (Owner → System)
-                    payer = personName;
-                    receiver = 'System';
-                }
-            } else if (personType === 'customer') {
-                // Get current owner name
-                const currentOwner = this.currentUser.fullName;
-                
-                if (adjustmentDirection === '+') {
-                    // Money is added to customer's account (Owner → Customer)
-                    payer = currentOwner;
-                    receiver = personName;
-                } else {
-                    // Money is deducted from customer's account (Customer → Owner)
-                    payer = personName;
-                    receiver = currentOwner;
-                }
-            }
+            entry.person = isAdjustmentOwner
+                ? { type: 'owner', name: document.getElementById('adjustment-owner-select').value }
+                : { type: 'customer', id: document.getElementById('adjustment-customer-select').value };
+            entry.direction = document.querySelector('input[name="adjustment-direction"]:checked')?.value;
         }
         
-        // Create transaction
-        const transaction = {
-            date: new Date().toISOString(),
-            type: `General Entry (${type})`,
-            payer: payer,
-            receiver: receiver,
-            amount: amount,
-            description: desc,
-            cashType: 'USD'
+        try {
+            const response = await this.createLedgerEntry(`/api/money-exchanger/ledger/${type.toLowerCase()}`, entry);
+            this.applyLedgerResponse(response);
+            this.clearGeneralEntryForm();
+            this.showMessage('ge-message', `${type} entry added successfully`, 'success');
+        } catch (error) {
+            this.showMessage('ge-message', error.message, 'error');
+        }
+    }
+    
+    // A registered customer is sent by ID; any other name is recorded as a walk-in
+    readExchangeForm() {
+        const customerName = document.getElementById('ex-customer-name').value.trim();
+        const customer = this.findCustomerByLabel(customerName);
+        return {
+            customer: customerName,
+            customerId: customer ? customer.id : undefined,
+            owner: document.getElementById('ex-owner-select').value,
+            currencyIn: document.getElementById('ex-currency-in').value,
+            amountIn: parseFloat(document.getElementById('ex-amount-in').value),
+            currencyOut: document.getElementById('ex-currency-out').value,
+            rate: parseFloat(document.getElementById('ex-rate').value),
+            midRate: parseFloat(document.getElementById('ex-mid-rate').value),
+            fee: parseFloat(document.getElementById('ex-fee').value) || 0,
+            feeCurrency: document.getElementById('ex-fee-currency').value,
+            description: document.getElementById('ex-desc').value.trim()
         };
-        
-        // Add transaction and update balance
-        this.moneyExchangerData.transactions.push(transaction);
-        
-        if (type === 'IN') {
-            this.moneyExchangerData.ownerBalance += amount;
-        } else if (type === 'OUT') {
-            this.moneyExchangerData.ownerBalance -= amount;
-        } else if (type === 'Adjustment') {
-            console.log('Processing adjustment transaction');
-            
-            // Get adjustment type (Owner or Customer)
-            const isAdjustmentOwner = document.getElementById('adjustment-owner-chk').checked;
-            const isAdjustmentCustomer = document.getElementById('adjustment-customer-chk').checked;
-            
-            let personName = '';
-            let personType = '';
-            
-            if (isAdjustmentOwner) {
-                personName = document.getElementById('adjustment-owner-select').value;
-                personType = 'owner';
-            } else {
-                personName = document.getElementById('adjustment-customer-select').value;
-                personType = 'customer';
-            }
-            
-            // Get adjustment direction
-            const adjustmentDirection = document.querySelector('input[name="adjustment-direction"]:checked')?.value;
-            
-            // Update balances based on adjustment type and direction
-            if (personType === 'owner') {
-                if (adjustmentDirection === '+') {
-                    // Owner's balance increases
-                    this.moneyExchangerData.ownerBalance += amount;
-                    console.log('Owner balance increased by', amount);
-                } else {
-                    // Owner's balance decreases
-                    this.moneyExchangerData.ownerBalance -= amount;
-                    console.log('Owner balance decreased by', amount);
-                }
-            } else if (personType === 'customer') {
-                if (adjustmentDirection === '+') {
-                    // Customer's balance increases, Owner's balance decreases
-                    this.moneyExchangerData.customers[personName] += amount;
-                    this.moneyExchangerData.ownerBalance -= amount;
-                    console.log('Customer balance increased by', amount, 'Owner balance decreased by', amount);
-                } else {
-                    // Customer's balance decreases, Owner's balance increases
-                    this.moneyExchangerData.customers[personName] -= amount;
-                    this.moneyExchangerData.ownerBalance += amount;
-                    console.log('Customer balance decreased by', amount, 'Owner balance increased by', amount);
-                }
-            }
+    }
+    
+    // Preview only; the server calculates the recorded payout and margin
+    updateExchangeSummary() {
+        const summary = document.getElementById('ex-summary');
+        if (!summary) return;
+        
+        const exchange = this.readExchangeForm();
+        if (!exchange.amountIn || !exchange.rate || !exchange.currencyOut) {
+            summary.textContent = 'Enter amount and rates to see the payout and margin';
+            return;
         }
         
-        // Save and update UI
-        this.saveMoneyExchangerData();
-        this.updateMoneyExchangerUI();
-        this.clearGeneralEntryForm();
-        this.showMessage('ge-message', `${type} entry added successfully`, 'success');
+        const amountOut = exchange.amountIn * exchange.rate;
+        let text = `Customer receives: ${exchange.currencyOut} ${this.formatAmount(amountOut)}`;
+        if (exchange.midRate) {
+            const margin = exchange.amountIn * exchange.midRate - amountOut;
+            text += ` | Margin: ${exchange.currencyOut} ${this.formatAmount(margin)}`;
+        }
+        summary.textContent = text;
     }
     
-    async saveMoneyExchangerData() {
+    async addExchangeTransaction() {
         try {
-            console.log('Saving Money Exchanger data');
-            await this.apiCall('/api/money-exchanger/data', 'PUT', this.moneyExchangerData);
+            const response = await this.createLedgerEntry('/api/money-exchanger/ledger/exchange', this.readExchangeForm());
+            this.applyLedgerResponse(response);
+            this.clearExchangeForm();
+            const { amountOut, currencyOut, margin } = response.transaction.exchange;
+            this.showMessage('ex-message', `Exchange recorded: pay out ${currencyOut} ${this.formatAmount(amountOut)} (margin ${this.formatAmount(margin)})`, 'success');
         } catch (error) {
-            console.error('Error saving Money Exchanger data:', error);
+            this.showMessage('ex-message', error.message, 'error');
         }
     }
     
@@ -1194,36 +3080,56 @@ updateClientsTable(clients) {
         
         tbody.innerHTML = '';
         
+        const loadMoreBtn = document.getElementById('load-more-transactions');
+        if (loadMoreBtn) {
+            loadMoreBtn.classList.toggle('hidden', this.transactionsPage >= this.transactionsPages);
+        }
+        
         if (this.moneyExchangerData.transactions.length === 0) {
             tbody.innerHTML = '<tr><td colspan="9" style="text-align:center;">No transactions found</td></tr>';
             return;
         }
         
-        // Sort transactions by date (newest first)
-        const sortedTransactions = [...this.moneyExchangerData.transactions].sort((a, b) => 
-            new Date(b.date) - new Date(a.date)
-        );
-        
-        sortedTransactions.forEach((transaction, index) => {
+        // Transactions arrive from the server sorted by date (newest first)
+        this.moneyExchangerData.transactions.forEach(transaction => {
             const row = tbody.insertRow();
             const date = new Date(transaction.date);
             const formattedDate = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+            const exchange = transaction.exchange;
+            const amount = exchange && exchange.currencyOut
+                ? `${this.formatAmount(exchange.amountIn)} → ${this.formatAmount(exchange.amountOut)}`
+                : this.formatAmount(transaction.amount);
+            const cashType = exchange && exchange.currencyOut
+                ? `${exchange.currencyIn} → ${exchange.currencyOut}`
+                : transaction.cashType;
+            const isVoided = transaction.status === 'voided';
+            const actions = isVoided || transaction.reversalOf
+                ? ''
+                : `
+                        <button class="btn-edit" onclick="app.openEditTransactionModal('${transaction.id}')">
+                            Edit
+                        </button>
+                        <button class="btn-delete" onclick="app.voidMoneyExchangerTransaction('${transaction.id}')">
+                            Void
+                        </button>`;
+            
+            if (isVoided) {
+                row.classList.add('voided-row');
+            }
             
             row.innerHTML = `
                 <td>${formattedDate}</td>
                 <td>${transaction.type}</td>
-                <td>${transaction.payer}</td>
-                <td>${transaction.receiver}</td>
-                <td>$${transaction.amount.toFixed(2)}</td>
-                <td>${transaction.description}</td>
-                <td>${transaction.cashType}</td>
+                <td>${this.escapeHtml(transaction.payer)}</td>
+                <td>${this.escapeHtml(transaction.receiver)}</td>
+                <td>${amount}</td>
+                <td>${this.escapeHtml(transaction.description)}</td>
+                <td>${cashType}</td>
+                <td>${this.describeTransactionStatus(transaction)}</td>
                 <td>
-                    <div class="action-buttons">
-                        <button class="btn-edit" onclick="app.openEditTransactionModal('${transaction.id}')">
-                            Edit
-                        </button>
-                        <button class="btn-delete" onclick="app.deleteMoneyExchangerTransaction(${index})">
-                            Delete
+                    <div class="action-buttons">${actions}
+                        <button class="btn-action btn-secondary" onclick="app.revalueTransaction('${transaction.id}')">
+                            USD Value
                         </button>
                     </div>
                 </td>
@@ -1231,41 +3137,54 @@ updateClientsTable(clients) {
         });
     }
     
-    async deleteMoneyExchangerTransaction(index) {
-        if (confirm('Are you sure you want to delete this transaction?')) {
-            try {
-                // Find the actual index in the original array
-                const transactionToDelete = this.moneyExchangerData.transactions[index];
-                const actualIndex = this.moneyExchangerData.transactions.findIndex(
-                    t => t.id === transactionToDelete.id
-                );
-                
-                if (actualIndex !== -1) {
-                    this.moneyExchangerData.transactions.splice(actualIndex, 1);
-                    await this.saveMoneyExchangerData();
-                    this.displayMoneyExchangerTransactions();
-                    this.updateMoneyExchangerStats();
-                    this.showToast('Success', 'Transaction deleted successfully', 'success');
-                }
-            } catch (error) {
-                this.showToast('Error', error.message, 'error');
+    describeTransactionStatus(transaction) {
+        if (transaction.status === 'voided') {
+            return `<span class="status-badge voided" title="${this.escapeHtml(transaction.voidReason)}">Voided</span>`;
+        }
+        if (transaction.reversalOf) {
+            return '<span class="status-badge info">Reversal</span>';
+        }
+        return '<span class="status-badge success">Posted</span>';
+    }
+    
+    // Transactions are never deleted: voiding keeps the original and posts a reversing entry
+    async voidMoneyExchangerTransaction(transactionId) {
+        const reason = prompt('Why are you voiding this transaction?');
+        if (reason === null) return;
+        
+        if (!reason.trim()) {
+            this.showToast('Error', 'A reason is required to void a transaction', 'error');
+            return;
+        }
+        
+        try {
+            const response = await this.bookWrite(
+                `/api/money-exchanger/transactions/${transactionId}/void`, 'POST', { reason: reason.trim() }
+            );
+            
+            const transactionIndex = this.moneyExchangerData.transactions.findIndex(t => t.id === transactionId);
+            if (transactionIndex !== -1) {
+                this.moneyExchangerData.transactions[transactionIndex] = response.transaction;
             }
+            this.applyLedgerResponse({ ...response, transaction: response.reversal });
+            
+            this.showToast('Success', 'Transaction voided and its balances restored', 'success');
+        } catch (error) {
+            // Error already shown by apiCall
         }
     }
     
     // Report Generation
-    generatePDFReport(startDate, endDate) {
+    async generatePDFReport(startDate, endDate) {
         const { jsPDF } = window.jspdf;
         const doc = new jsPDF();
         
-        // Filter transactions by date range
-        const filteredTransactions = this.moneyExchangerData.transactions.filter(t => {
-            const transactionDate = new Date(t.date);
-            const start = new Date(startDate);
-            const end = new Date(endDate);
-            end.setHours(23, 59, 59, 999); // Include end date
-            return transactionDate >= start && transactionDate <= end;
-        });
+        let filteredTransactions;
+        try {
+            filteredTransactions = await this.fetchTransactionsInRange(startDate, endDate);
+        } catch (error) {
+            return; // Error already shown by apiCall
+        }
         
         if (filteredTransactions.length === 0) {
             this.showToast('Warning', 'No transactions found in the selected date range', 'warning');
@@ -1292,8 +3211,9 @@ updateClientsTable(clients) {
         doc.text('Type', 50, 55);
         doc.text('Payer', 80, 55);
         doc.text('Receiver', 110, 55);
-        doc.text('Amount', 150, 55);
-        doc.text('Cash Type', 170, 55);
+        doc.text('Amount', 140, 55);
+        doc.text('Cash Type', 160, 55);
+        doc.text('Status', 182, 55);
         
         // Add transaction data
         let yPosition = 65;
@@ -1310,16 +3230,17 @@ updateClientsTable(clients) {
             doc.text(transaction.type, 50, yPosition);
             doc.text(transaction.payer, 80, yPosition);
             doc.text(transaction.receiver, 110, yPosition);
-            doc.text(`$${transaction.amount.toFixed(2)}`, 150, yPosition);
-            doc.text(transaction.cashType, 170, yPosition);
+            doc.text(this.formatAmount(transaction.amount), 140, yPosition);
+            doc.text(transaction.cashType, 160, yPosition);
+            doc.text(this.reportStatusLabel(transaction), 182, yPosition);
             
             yPosition += 10;
         });
         
         // Add summary
-        const totalAmount = filteredTransactions.reduce((sum, t) => sum + t.amount, 0);
         doc.text(`Total Transactions: ${filteredTransactions.length}`, 20, yPosition + 10);
-        doc.text(`Total Amount: $${totalAmount.toFixed(2)}`, 20, yPosition + 20);
+        doc.text(`Total Amount: ${this.formatBalances(this.sumByCurrency(filteredTransactions))}`, 20, yPosition + 20);
+        doc.text('Voided transactions and their reversals are listed but not included in the total.', 20, yPosition + 30);
         
         // Save the PDF
         doc.save(`CashBook_Report_${new Date(startDate).toISOString().split('T')[0]}_to_${new Date(endDate).toISOString().split('T')[0]}.pdf`);
@@ -1327,15 +3248,13 @@ updateClientsTable(clients) {
         this.showToast('Success', 'PDF report generated successfully', 'success');
     }
     
-    generateExcelReport(startDate, endDate) {
-        // Filter transactions by date range
-        const filteredTransactions = this.moneyExchangerData.transactions.filter(t => {
-            const transactionDate = new Date(t.date);
-            const start = new Date(startDate);
-            const end = new Date(endDate);
-            end.setHours(23, 59, 59, 999); // Include end date
-            return transactionDate >= start && transactionDate <= end;
-        });
+    async generateExcelReport(startDate, endDate) {
+        let filteredTransactions;
+        try {
+            filteredTransactions = await this.fetchTransactionsInRange(startDate, endDate);
+        } catch (error) {
+            return; // Error already shown by apiCall
+        }
         
         if (filteredTransactions.length === 0) {
             this.showToast('Warning', 'No transactions found in the selected date range', 'warning');
@@ -1347,7 +3266,7 @@ updateClientsTable(clients) {
         
         // Create transaction data
         const transactionData = [
-            ['Date', 'Type', 'Payer', 'Receiver', 'Amount', 'Description', 'Cash Type']
+            ['Date', 'Type', 'Payer', 'Receiver', 'Amount', 'Description', 'Cash Type', 'Status', 'Void Reason']
         ];
         
         filteredTransactions.forEach(transaction => {
@@ -1361,7 +3280,9 @@ updateClientsTable(clients) {
                 transaction.receiver,
                 transaction.amount,
                 transaction.description,
-                transaction.cashType
+                transaction.cashType,
+                this.reportStatusLabel(transaction),
+                transaction.voidReason || ''
             ]);
         });
         
@@ -1379,7 +3300,8 @@ updateClientsTable(clients) {
             ['Account Status', this.currentUser.accountStatus],
             ['Report Period', `${new Date(startDate).toLocaleDateString()} - ${new Date(endDate).toLocaleDateString()}`],
             ['Total Transactions', filteredTransactions.length],
-            ['Total Amount', filteredTransactions.reduce((sum, t) => sum + t.amount, 0)]
+            ['Total Amount'],
+            ...Object.entries(this.sumByCurrency(filteredTransactions))
         ];
         
         const summaryWs = XLSX.utils.aoa_to_sheet(summaryData);
@@ -1410,11 +3332,33 @@ updateClientsTable(clients) {
         document.getElementById('edit-transaction-amount').value = transaction.amount;
         document.getElementById('edit-transaction-description').value = transaction.description;
         document.getElementById('edit-transaction-cash-type').value = transaction.cashType;
+        this.displayTransactionRevisions(transaction);
         
         // Show modal
         document.getElementById('edit-transaction-modal').classList.remove('hidden');
     }
     
+    // Earlier versions of the transaction, newest edit first
+    displayTransactionRevisions(transaction) {
+        const history = document.getElementById('edit-transaction-history');
+        if (!history) return;
+        
+        const revisions = transaction.revisions || [];
+        if (revisions.length === 0) {
+            history.classList.add('hidden');
+            return;
+        }
+        
+        history.innerHTML = '<strong>Edit history</strong>' + revisions.slice().reverse().map(revision => `
+            <div>
+                ${new Date(revision.editedAt).toLocaleString()} by ${this.escapeHtml(revision.editedBy)}:
+                ${revision.before.cashType} ${this.formatAmount(revision.before.amount)} → ${revision.after.cashType} ${this.formatAmount(revision.after.amount)}
+                ${revision.before.description !== revision.after.description ? `(description: "${this.escapeHtml(revision.before.description)}" → "${this.escapeHtml(revision.after.description)}")` : ''}
+            </div>
+        `).join('');
+        history.classList.remove('hidden');
+    }
+    
     closeEditTransactionModal() {
         document.getElementById('edit-transaction-modal').classList.add('hidden');
         this.editingTransactionId = null;
@@ -1422,33 +3366,30 @@ updateClientsTable(clients) {
     
     async updateTransaction(formData) {
         try {
+            const response = await this.bookWrite(
+                `/api/money-exchanger/transactions/${this.editingTransactionId}`, 'PATCH', formData
+            );
+            
             const transactionIndex = this.moneyExchangerData.transactions.findIndex(
                 t => t.id === this.editingTransactionId
             );
-            
-            if (transactionIndex === -1) {
-                throw new Error('Transaction not found');
+            if (transactionIndex !== -1) {
+                this.moneyExchangerData.transactions[transactionIndex] = response.transaction;
             }
             
-            // Update transaction
-            this.moneyExchangerData.transactions[transactionIndex] = {
-                ...this.moneyExchangerData.transactions[transactionIndex],
-                amount: parseFloat(formData.amount),
-                description: formData.description,
-                cashType: formData.cashType
-            };
-            
-            // Save data
-            await this.saveMoneyExchangerData();
-            
-            // Update UI
-            this.displayMoneyExchangerTransactions();
-            this.updateMoneyExchangerStats();
+            // The server re-applied the edited transaction to the balances
+            this.moneyExchangerData.customers = response.customers;
+            this.moneyExchangerData.partnerBalances = response.partnerBalances;
+            this.updateMoneyExchangerUI();
             this.closeEditTransactionModal();
             
+            if (response.transaction.pnl && response.transaction.pnl.length > 0) {
+                this.loadProfitSummary();
+            }
+            
             this.showToast('Success', 'Transaction updated successfully', 'success');
         } catch (error) {
-            this.showToast('Error', error.message, 'error');
+            // Error already shown by apiCall
         }
     }
     
@@ -1463,6 +3404,10 @@ updateClientsTable(clients) {
         document.getElementById('np-payee-owner-chk').checked = false;
         document.getElementById('np-payee-customer-chk').checked = false;
         
+        ['np-payer-customer-name', 'np-payer-customer-phone', 'np-payee-customer-name', 'np-payee-customer-phone'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        
         document.getElementById('np-payer-owner-div').style.display = 'none';
         document.getElementById('np-payer-customer-div').style.display = 'none';
         document.getElementById('np-payee-owner-div').style.display = 'none';
@@ -1489,9 +3434,23 @@ updateClientsTable(clients) {
         document.getElementById('op-payee-customer-balance').style.display = 'none';
     }
     
+    clearExchangeForm() {
+        document.getElementById('ex-customer-name').value = '';
+        document.getElementById('ex-amount-in').value = '';
+        document.getElementById('ex-rate').value = '';
+        document.getElementById('ex-mid-rate').value = '';
+        document.getElementById('ex-fee').value = '';
+        document.getElementById('ex-fee-currency').selectedIndex = 0;
+        document.getElementById('ex-desc').value = '';
+        document.getElementById('ex-currency-in').selectedIndex = 0;
+        document.getElementById('ex-currency-out').selectedIndex = 0;
+        this.updateExchangeSummary();
+    }
+    
     clearGeneralEntryForm() {
         document.getElementById('ge-amount').value = '';
         document.getElementById('ge-desc').value = '';
+        document.getElementById('ge-cash-type').selectedIndex = 0;
         
         // Hide adjustment options
         this.showAdjustmentOptions(false);
@@ -1555,6 +3514,39 @@ updateClientsTable(clients) {
         return `${days} days`;
     }
     
+    // For text one account typed that another account's page shows, such as payment claims
+    // or a client's books in the support view; quotes too, so it is safe inside attributes
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+    
+    // Formats per-currency balances such as { USD: 100, UGX: -5000 } for display
+    formatBalances(balances) {
+        const entries = Object.entries(balances || {});
+        if (entries.length === 0) return '0.00';
+        return entries.map(([currency, amount]) => `${currency} ${this.formatAmount(amount)}`).join(' · ');
+    }
+    
+    formatAmount(amount) {
+        return Number(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+    
+    reportStatusLabel(transaction) {
+        if (transaction.status === 'voided') return 'Voided';
+        return transaction.reversalOf ? 'Reversal' : 'Posted';
+    }
+    
+    // Totals transaction amounts per cash type; amounts in different currencies are never added together.
+    // Voided transactions and their reversing entries cancel out, so both are left out.
+    sumByCurrency(transactions) {
+        return transactions.filter(t => t.status !== 'voided' && !t.reversalOf).reduce((totals, t) => {
+            totals[t.cashType] = (totals[t.cashType] || 0) + t.amount;
+            return totals;
+        }, {});
+    }
+    
     generateId(prefix = 'id') {
         return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
@@ -1641,6 +3633,14 @@ updateClientsTable(clients) {
             this.showLogin();
         });
         
+        this.safeAddEventListener('#subscription-pay-btn', 'click', () => {
+            this.showPaymentPage();
+        });
+        
+        this.safeAddEventListener('#save-platform-settings-btn', 'click', () => {
+            this.savePlatformSettings();
+        });
+        
         this.safeAddEventListener('#back-to-dashboard', 'click', () => {
             this.showDashboard();
         });
@@ -1661,6 +3661,26 @@ updateClientsTable(clients) {
             this.addNewPersonTransaction();
         });
         
+        this.safeAddEventListener('#add-exchange-btn', 'click', () => {
+            this.addExchangeTransaction();
+        });
+        
+        ['#ex-amount-in', '#ex-rate', '#ex-mid-rate'].forEach(selector => {
+            this.safeAddEventListener(selector, 'input', () => this.updateExchangeSummary());
+        });
+        
+        ['#ex-currency-in', '#ex-currency-out'].forEach(selector => {
+            this.safeAddEventListener(selector, 'change', () => this.prefillExchangeRates());
+        });
+        
+        this.safeAddEventListener('#save-rate-btn', 'click', () => {
+            this.saveRate();
+        });
+        
+        this.safeAddEventListener('#load-more-transactions', 'click', () => {
+            this.loadTransactions(this.transactionsPage + 1);
+        });
+        
         // Report generation buttons
         this.safeAddEventListener('#generate-pdf-report', 'click', () => {
             const startDate = document.getElementById('report-start-date').value;
@@ -1686,6 +3706,90 @@ updateClientsTable(clients) {
             this.generateExcelReport(startDate, endDate);
         });
         
+        this.safeAddEventListener('#show-income-statement', 'click', () => {
+            this.showIncomeStatement();
+        });
+        
+        ['owner', 'client'].forEach(scope => {
+            this.safeAddEventListener(`#${scope}-audit-search`, 'click', () => {
+                this.loadAuditEvents(scope);
+            });
+            
+            this.safeAddEventListener(`#${scope}-audit-more`, 'click', () => {
+                this.loadAuditEvents(scope, this.auditPages[scope].page + 1);
+            });
+        });
+        
+        this.safeAddEventListener('#save-profit-shares-btn', 'click', () => {
+            this.saveProfitShares();
+        });
+        
+        this.safeAddEventListener('#add-capital-btn', 'click', () => {
+            this.addCapitalContribution();
+        });
+        
+        this.safeAddEventListener('#show-distribution', 'click', () => {
+            this.showProfitDistribution();
+        });
+        
+        this.safeAddEventListener('#open-till-btn', 'click', () => {
+            this.openTill();
+        });
+        
+        this.safeAddEventListener('#close-till-btn', 'click', () => {
+            this.closeTill();
+        });
+        
+        this.safeAddEventListener('#till-count-tbody', 'input', (e) => {
+            if (e.target.classList.contains('till-denomination-input')) {
+                this.updateDenominationTotal(e.target.dataset.currency);
+            }
+        });
+        
+        this.safeAddEventListener('#denomination-currency', 'change', () => {
+            this.showDenominationSettings();
+        });
+        
+        this.safeAddEventListener('#save-denominations-btn', 'click', () => {
+            this.saveDenominations();
+        });
+        
+        this.safeAddEventListener('#save-customer-btn', 'click', () => {
+            this.saveCustomer();
+        });
+        
+        this.safeAddEventListener('#cancel-customer-btn', 'click', () => {
+            this.clearCustomerForm();
+        });
+        
+        this.safeAddEventListener('#view-statement-btn', 'click', () => {
+            this.showCustomerStatement();
+        });
+        
+        this.safeAddEventListener('#statement-pdf-btn', 'click', () => {
+            this.generateStatementPDF();
+        });
+        
+        this.safeAddEventListener('#statement-excel-btn', 'click', () => {
+            this.generateStatementExcel();
+        });
+        
+        this.safeAddEventListener('#merge-customers-btn', 'click', () => {
+            this.mergeCustomers();
+        });
+        
+        this.safeAddEventListener('#customer-search', 'input', () => {
+            this.searchCustomers();
+        });
+        
+        this.safeAddEventListener('#check-balances', 'click', () => {
+            this.checkBalances();
+        });
+        
+        this.safeAddEventListener('#repair-balances', 'click', () => {
+            this.repairBalances();
+        });
+        
         // Modal report buttons
         this.safeAddEventListener('#modal-generate-pdf-report', 'click', () => {
             const startDate = document.getElementById('modal-report-start-date').value;
@@ -1711,6 +3815,85 @@ updateClientsTable(clients) {
             this.generateExcelReport(startDate, endDate);
         });
         
+        this.safeAddEventListener('#payment-claim-form', 'submit', (e) => {
+            e.preventDefault();
+            this.submitPaymentClaim();
+        });
+        
+        this.safeAddEventListener('#revenue-months', 'change', () => {
+            this.loadOwnerStats().catch(error => console.error('Failed to load owner stats:', error));
+        });
+        
+        this.safeAddEventListener('#export-revenue-csv', 'click', () => {
+            this.exportRevenueCSV();
+        });
+        
+        this.safeAddEventListener('#check-coupon-btn', 'click', () => {
+            this.checkCoupon();
+        });
+        
+        this.safeAddEventListener('#plan-form', 'submit', (e) => {
+            e.preventDefault();
+            this.savePlan();
+        });
+        
+        this.safeAddEventListener('#clear-plan-form', 'click', () => {
+            this.clearPlanForm();
+        });
+        
+        this.safeAddEventListener('#coupon-form', 'submit', (e) => {
+            e.preventDefault();
+            this.saveCoupon();
+        });
+        
+        this.safeAddEventListener('#clear-coupon-form', 'click', () => {
+            this.clearCouponForm();
+        });
+        
+        this.safeAddEventListener('#claim-status-filter', 'change', () => {
+            this.loadClaimQueue();
+        });
+        
+        this.safeAddEventListener('#close-claim-screenshot', 'click', () => {
+            this.closeClaimScreenshot();
+        });
+        
+        this.safeAddEventListener('#exit-support-view-btn', 'click', () => {
+            this.exitSupportView();
+        });
+        
+        // Client lifecycle modal
+        this.safeAddEventListener('#close-client-action', 'click', () => {
+            this.closeClientAction();
+        });
+        
+        this.safeAddEventListener('#cancel-client-action', 'click', () => {
+            this.closeClientAction();
+        });
+        
+        this.safeAddEventListener('#client-action-form', 'submit', (e) => {
+            e.preventDefault();
+            this.submitClientAction();
+        });
+        
+        this.safeAddEventListener('#copy-temporary-password', 'click', () => {
+            this.copyToClipboard(document.getElementById('client-temporary-password').textContent);
+        });
+        
+        // Record payment modal
+        this.safeAddEventListener('#close-record-payment', 'click', () => {
+            this.closeRecordPaymentModal();
+        });
+        
+        this.safeAddEventListener('#cancel-record-payment', 'click', () => {
+            this.closeRecordPaymentModal();
+        });
+        
+        this.safeAddEventListener('#record-payment-form', 'submit', (e) => {
+            e.preventDefault();
+            this.verifyPayment();
+        });
+        
         // Edit transaction modal
         this.safeAddEventListener('#close-edit-transaction', 'click', () => {
             this.closeEditTransactionModal();
@@ -1810,6 +3993,7 @@ updateClientsTable(clients) {
                     phone: document.getElementById('phone').value,
                     password: document.getElementById('password').value,
                     confirmPassword: document.getElementById('confirm-password').value,
+                    planId: document.getElementById('register-plan').value
                 };
                 
                 if (formData.password !== formData.confirmPassword) {
@@ -3,6 +3,7 @@ const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const path = require('path');
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 require('dotenv').config();
 
@@ -10,7 +11,12 @@ const app = express();
 const PORT = process.env.PORT || 5500;
 
 // Middleware
+// Behind the hosting proxy, so req.ip is the client address from X-Forwarded-For
+app.set('trust proxy', 1);
 app.use(cors());
+// Payment claims carry their screenshot inline as a data URL. Their body is parsed here
+// with a larger limit, before the default parser, which then leaves it alone.
+app.post('/api/payment-claims', express.json({ limit: '3mb' }));
 app.use(express.json());
 app.use(express.static('.'));
 
@@ -31,23 +37,27 @@ const userSchema = new mongoose.Schema({
     businessName: String,
     fullName: { type: String, required: true },
     phone: String,
-    accountStatus: { type: String, enum: ['active', 'pending', 'suspended'], default: 'pending' },
+    accountStatus: { type: String, enum: ['active', 'pending', 'suspended', 'expired'], default: 'pending' },
     subscriptionEnd: Date,
     lastPayment: Date,
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
+    // End of the free trial new registrations get; the subscription ends then too unless paid
+    trialEndsAt: Date,
     moneyExchangerData: {
         owners: [String],
-        customers: { type: Map, of: Number },
-        transactions: [{
-            id: String,
-            date: String,
-            type: String,
-            payer: String,
-            receiver: String,
-            amount: Number,
-            description: String,
-            cashType: String
-        }],
-        ownerBalance: { type: Number, default: 0 }
+        // Balances are kept per currency: customer ID → { currency → amount }. The
+        // customers' details live in the Customer collection.
+        customers: { type: Map, of: { type: Map, of: Number } },
+        // Each partner (owner) keeps their own balances: owner name → { currency → amount }
+        partnerBalances: { type: Map, of: { type: Map, of: Number }, default: {} },
+        // Percentage of the profit each partner receives: owner name → percent
+        profitShares: { type: Map, of: Number, default: {} },
+        // Note and coin values used to count the till, per currency; currencies without
+        // an entry use DEFAULT_DENOMINATIONS
+        denominations: { type: Map, of: [Number], default: {} },
+        // Incremented on every write to the book; writes must name the version they
+        // were based on (If-Match) so a device with stale data cannot overwrite newer changes
+        version: { type: Number, default: 0 }
     }
 }, {
     timestamps: true
@@ -62,6 +72,186 @@ userSchema.pre('save', async function(next) {
 
 const User = mongoose.model('User', userSchema);
 
+// Platform Settings Schema
+// Settings the platform owner controls, kept in a single document
+const DEFAULT_GRACE_PERIOD_DAYS = 7;
+const DEFAULT_TRIAL_DAYS = 14;
+
+const platformSettingsSchema = new mongoose.Schema({
+    key: { type: String, default: 'platform', unique: true },
+    // Days after subscriptionEnd during which a client can still read but not change their books
+    gracePeriodDays: { type: Number, default: DEFAULT_GRACE_PERIOD_DAYS, min: 0 },
+    // Length of the free trial for new registrations; 0 means they must pay first
+    trialDays: { type: Number, default: DEFAULT_TRIAL_DAYS, min: 0 },
+    // Last invoice number issued; invoices are numbered in sequence across the platform
+    lastInvoiceNumber: { type: Number, default: 0 }
+}, {
+    timestamps: true
+});
+
+const PlatformSettings = mongoose.model('PlatformSettings', platformSettingsSchema);
+
+// Plan Schema
+// Subscription tiers the platform owner sells. A payment buys one period of a plan.
+const PLAN_INTERVALS = {
+    monthly: { label: 'Monthly', months: 1 },
+    quarterly: { label: 'Quarterly', months: 3 },
+    annual: { label: 'Annual', months: 12 }
+};
+
+// Per-plan limits on a client's books; a limit left empty is unlimited
+const PLAN_LIMITS = {
+    maxCustomers: 'customers',
+    maxTransactionsPerMonth: 'transactions a month',
+    maxPartners: 'partners'
+};
+
+const planSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    interval: { type: String, enum: Object.keys(PLAN_INTERVALS), required: true },
+    price: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: 'USD' },
+    limits: {
+        maxCustomers: { type: Number, default: null },
+        maxTransactionsPerMonth: { type: Number, default: null },
+        maxPartners: { type: Number, default: null }
+    },
+    features: [String],
+    // Retired plans stay on the clients and invoices that use them but cannot be chosen
+    active: { type: Boolean, default: true }
+}, {
+    timestamps: true
+});
+
+planSchema.virtual('months').get(function() {
+    return PLAN_INTERVALS[this.interval].months;
+});
+planSchema.set('toJSON', { virtuals: true });
+planSchema.set('toObject', { virtuals: true });
+
+const Plan = mongoose.model('Plan', planSchema);
+
+// Coupon Schema
+const couponSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: String,
+    discountType: { type: String, enum: ['percent', 'fixed'], required: true },
+    // A percentage off, or an amount off in the plan's currency
+    discountValue: { type: Number, required: true, min: 0 },
+    // How many payments can use the code; null is unlimited
+    maxUses: { type: Number, default: null },
+    uses: { type: Number, default: 0 },
+    expiresAt: Date,
+    // Plans the code is valid for; empty means every plan
+    plans: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Plan' }],
+    active: { type: Boolean, default: true }
+}, {
+    timestamps: true
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+// Payment Schema
+// A subscription payment received by the platform owner; each one is the client's invoice
+const PAYMENT_METHODS = {
+    mobile_money: 'Mobile Money',
+    cash: 'Cash',
+    bank_transfer: 'Bank Transfer'
+};
+
+const paymentSchema = new mongoose.Schema({
+    client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    invoiceNumber: { type: String, required: true, unique: true },
+    amount: { type: Number, required: true },
+    currency: { type: String, required: true },
+    method: { type: String, enum: Object.keys(PAYMENT_METHODS), default: 'mobile_money' },
+    // Mobile-money transaction ID or other proof of payment
+    reference: String,
+    months: { type: Number, required: true },
+    // The plan bought, with its price and any coupon discount at the time
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
+    planName: String,
+    listPrice: Number,
+    couponCode: String,
+    discount: { type: Number, default: 0 },
+    // What the plan cost after the discount, in the plan's currency. A payment that does
+    // not cover it is only recorded when the owner accepts the difference.
+    amountDue: Number,
+    priceCurrency: String,
+    // The subscription period the payment covers
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    recordedBy: {
+        userId: String,
+        username: String
+    },
+    paidAt: { type: Date, default: Date.now }
+}, {
+    timestamps: true
+});
+
+paymentSchema.index({ client: 1, paidAt: -1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+// Payment Claim Schema
+// A client's report that they have paid, waiting for the platform owner to match it
+// against the mobile-money account. Approving it records the payment.
+const MAX_SCREENSHOT_BYTES = 2 * 1024 * 1024;
+
+const paymentClaimSchema = new mongoose.Schema({
+    client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    amount: { type: Number, required: true },
+    currency: { type: String, required: true },
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
+    couponCode: String,
+    senderNumber: { type: String, required: true },
+    reference: { type: String, required: true },
+    // Optional image of the payment confirmation, as a data URL. Lists leave it out, so
+    // hasScreenshot says whether there is one to fetch.
+    screenshot: String,
+    hasScreenshot: { type: Boolean, default: false },
+    status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+    // Whether the claim holds on to its reference; cleared when the claim is rejected
+    countsForReference: { type: Boolean, default: true },
+    rejectionReason: String,
+    reviewedBy: {
+        userId: String,
+        username: String
+    },
+    reviewedAt: Date,
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }
+}, {
+    timestamps: true
+});
+
+paymentClaimSchema.index({ status: 1, createdAt: 1 });
+paymentClaimSchema.index({ client: 1, createdAt: -1 });
+// A mobile-money reference can only be claimed once, unless the claim was rejected.
+// The filter is a plain equality because older MongoDB servers refuse $in here.
+paymentClaimSchema.index(
+    { reference: 1 },
+    { unique: true, partialFilterExpression: { countsForReference: true } }
+);
+
+const PaymentClaim = mongoose.model('PaymentClaim', paymentClaimSchema);
+
+// Notification Schema
+// Messages to a client about changes the platform owner made to their account
+const notificationSchema = new mongoose.Schema({
+    client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    title: { type: String, required: true },
+    message: { type: String, required: true },
+    reason: String,
+    readAt: Date
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ client: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
 // Password Reset Schema
 const passwordResetSchema = new mongoose.Schema({
     email: { type: String, required: true },
@@ -74,9 +264,311 @@ const passwordResetSchema = new mongoose.Schema({
 
 const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema);
 
+// Transaction Schema
+// Transactions live in their own collection, keyed by the business (client user) they belong to
+const transactionSchema = new mongoose.Schema({
+    business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    id: { type: String, required: true },
+    date: { type: Date, required: true },
+    type: String,
+    kind: String,
+    payer: String,
+    receiver: String,
+    payerType: String,
+    receiverType: String,
+    // Set when the payer/receiver is a registered customer; payer/receiver keep the name
+    payerCustomer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    receiverCustomer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    amount: Number,
+    description: String,
+    cashType: String,
+    effects: [{
+        _id: false,
+        partyType: { type: String, enum: ['owner', 'customer'] },
+        name: String,
+        customerId: String,
+        currency: String,
+        amount: Number
+    }],
+    // Set on currency exchanges; rates are units of currencyOut per 1 unit of currencyIn
+    exchange: {
+        currencyIn: String,
+        amountIn: Number,
+        currencyOut: String,
+        amountOut: Number,
+        rate: Number,
+        midRate: Number,
+        margin: Number,
+        marginCurrency: String,
+        fee: Number,
+        feeCurrency: String
+    },
+    // Profit and loss lines (exchange margin, fees, expenses) with the USD rate in force
+    // when the transaction was recorded; usdAmount is null when no rate was available
+    pnl: [{
+        _id: false,
+        category: { type: String, enum: ['margin', 'fee', 'expense'] },
+        currency: String,
+        amount: Number,
+        usdRate: Number,
+        usdAmount: Number
+    }],
+    // Transactions are never deleted. Voiding marks the original as voided and posts a
+    // linked reversing entry (reversalOf → original id, reversedBy → reversal id)
+    status: { type: String, enum: ['posted', 'voided'], default: 'posted' },
+    voidedAt: Date,
+    voidedBy: String,
+    voidReason: String,
+    reversedBy: String,
+    reversalOf: String,
+    // Every edit keeps the entry as it was before and after the change
+    revisions: [{
+        _id: false,
+        editedAt: Date,
+        editedBy: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }]
+}, {
+    timestamps: true
+});
+
+transactionSchema.index({ business: 1, id: 1 }, { unique: true });
+transactionSchema.index({ business: 1, date: -1 });
+transactionSchema.index({ business: 1, payer: 1 });
+transactionSchema.index({ business: 1, receiver: 1 });
+transactionSchema.index({ business: 1, cashType: 1 });
+transactionSchema.index({ business: 1, payerCustomer: 1 });
+transactionSchema.index({ business: 1, receiverCustomer: 1 });
+
+const Transaction = mongoose.model('Transaction', transactionSchema);
+
+// Exchange Rate Schema
+// The rate book is append-only: editing a rate adds a new entry with its own effective
+// time, so the rate in force at any moment can be looked up later. Rates are the price
+// of 1 unit of base in units of quote.
+const exchangeRateSchema = new mongoose.Schema({
+    business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    base: { type: String, required: true },
+    quote: { type: String, required: true },
+    buy: { type: Number, required: true },
+    sell: { type: Number, required: true },
+    effectiveAt: { type: Date, required: true },
+    createdBy: String
+}, {
+    timestamps: true
+});
+
+exchangeRateSchema.index({ business: 1, base: 1, quote: 1, effectiveAt: -1 });
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+// Customer Schema
+// A business's customers. Balances stay in the business's book, keyed by customer ID,
+// so two customers with the same name are kept apart.
+const customerSchema = new mongoose.Schema({
+    business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true },
+    phones: [String],
+    // National ID or passport number
+    idNumber: String,
+    address: String,
+    tags: [String],
+    notes: String
+}, {
+    timestamps: true
+});
+
+customerSchema.index({ business: 1, name: 1 });
+customerSchema.index({ business: 1, phones: 1 });
+
+const Customer = mongoose.model('Customer', customerSchema);
+
+// Idempotency Key Schema
+// The response to a create request sent with an Idempotency-Key header, so a retry
+// with the same key gets the original result instead of creating a second entry.
+// Keys expire after IDEMPOTENCY_WINDOW_HOURS.
+const IDEMPOTENCY_WINDOW_HOURS = 24;
+
+const idempotencyKeySchema = new mongoose.Schema({
+    business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    key: { type: String, required: true },
+    endpoint: { type: String, required: true },
+    status: Number,
+    body: mongoose.Schema.Types.Mixed,
+    createdAt: { type: Date, default: Date.now, expires: IDEMPOTENCY_WINDOW_HOURS * 60 * 60 }
+});
+
+idempotencyKeySchema.index({ business: 1, key: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+// Till Session Schema
+// A cash drawer session from the morning count to the evening count. Amounts are per
+// currency. A closed session is the day's record and can no longer be changed.
+const tillSessionSchema = new mongoose.Schema({
+    business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: ['open', 'closed'], default: 'open' },
+    openedAt: { type: Date, required: true },
+    openedBy: String,
+    openingCount: { type: Map, of: Number, default: {} },
+    // How many of each note/coin made up a count, per currency, when it was counted by denomination
+    openingBreakdown: { type: Map, of: [{ _id: false, value: Number, count: Number }] },
+    openingNotes: String,
+    closedAt: Date,
+    closedBy: String,
+    closingCount: { type: Map, of: Number },
+    closingBreakdown: { type: Map, of: [{ _id: false, value: Number, count: Number }] },
+    closingNotes: String,
+    // Cash movement of the session's transactions, the amount that should be in the
+    // drawer (opening + movement) and the difference from the count (positive = over)
+    movement: { type: Map, of: Number },
+    expected: { type: Map, of: Number },
+    overShort: { type: Map, of: Number },
+    transactions: Number
+}, {
+    timestamps: true
+});
+
+tillSessionSchema.index({ business: 1, openedAt: -1 });
+tillSessionSchema.index({ business: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+tillSessionSchema.post('init', function() {
+    this.$locals.closed = this.status === 'closed';
+});
+tillSessionSchema.pre('save', function(next) {
+    if (this.$locals.closed) {
+        return next(new Error('Closed till sessions cannot be changed'));
+    }
+    next();
+});
+// Updates only ever reach open sessions; sessions are never deleted, except with the
+// whole account when the owner deletes a client
+tillSessionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function() {
+    this.where({ status: 'open' });
+});
+tillSessionSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], function() {
+    throw new Error('Till sessions cannot be deleted');
+});
+
+const TillSession = mongoose.model('TillSession', tillSessionSchema);
+
+// Audit Event Schema
+// Append-only record of who did what. `business` is the client business an event
+// belongs to, so each business can read its own history; the platform owner reads all.
+const AUDIT_ACTIONS = {
+    'transaction.create': 'Transaction created',
+    'transaction.edit': 'Transaction edited',
+    'transaction.void': 'Transaction voided',
+    'balance.adjust': 'Balance adjusted',
+    'balance.repair': 'Balances repaired',
+    'owner.add': 'Owner added',
+    'customer.create': 'Customer created',
+    'customer.update': 'Customer updated',
+    'customer.rename': 'Customer renamed',
+    'customer.merge': 'Customers merged',
+    'partner.profit_shares': 'Profit shares changed',
+    'till.open': 'Till opened',
+    'till.close': 'Till closed',
+    'till.denominations': 'Till denominations changed',
+    'auth.login': 'Login',
+    'auth.login_failed': 'Failed login',
+    'auth.password_reset': 'Password reset',
+    'client.activate': 'Client activated',
+    'client.suspend': 'Client suspended',
+    'client.expire': 'Subscription expired',
+    'client.reactivate': 'Client reactivated',
+    'client.extend': 'Subscription extended',
+    'client.plan_change': 'Client plan changed',
+    'client.password_reset': 'Client password reset',
+    'client.update': 'Client profile edited',
+    'client.delete': 'Client account deleted',
+    'support.view': 'Support viewed account',
+    'payment.record': 'Subscription payment recorded',
+    'payment.claim': 'Payment claim submitted',
+    'payment.claim_approve': 'Payment claim approved',
+    'payment.claim_reject': 'Payment claim rejected',
+    'plan.create': 'Plan created',
+    'plan.update': 'Plan changed',
+    'coupon.create': 'Coupon created',
+    'coupon.update': 'Coupon changed',
+    'platform.settings': 'Platform settings changed'
+};
+
+const auditEventSchema = new mongoose.Schema({
+    business: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actor: {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        username: String,
+        role: String
+    },
+    action: { type: String, enum: Object.keys(AUDIT_ACTIONS), required: true },
+    target: {
+        kind: String,
+        id: String,
+        name: String
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    ip: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEventSchema.index({ business: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+const rejectAuditChange = function() {
+    throw new Error('Audit events are append-only');
+};
+auditEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectAuditChange);
+auditEventSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectAuditChange);
+auditEventSchema.pre('save', function(next) {
+    if (!this.isNew) return next(new Error('Audit events are append-only'));
+    next();
+});
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
 // JWT Secret
 const JWT_SECRET = 'cashbook-pro-enhanced-secret';
 
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'UGX', 'SOS', 'KES', 'ETB', 'DJF', 'ERN', 'SDG'];
+
+// Notes and coins of each currency, largest first
+const DEFAULT_DENOMINATIONS = {
+    USD: [100, 50, 20, 10, 5, 2, 1],
+    EUR: [500, 200, 100, 50, 20, 10, 5, 2, 1, 0.5, 0.2, 0.1],
+    GBP: [50, 20, 10, 5, 2, 1, 0.5, 0.2, 0.1],
+    UGX: [50000, 20000, 10000, 5000, 2000, 1000, 500, 200, 100],
+    SOS: [1000, 500, 100, 50],
+    KES: [1000, 500, 200, 100, 50, 20, 10, 5, 1],
+    ETB: [200, 100, 50, 10, 5, 1],
+    DJF: [10000, 5000, 2000, 1000, 500, 250, 100, 50, 20, 10],
+    ERN: [100, 50, 25, 10, 5, 1],
+    SDG: [1000, 500, 200, 100, 50, 20, 10, 5, 2, 1]
+};
+
+// Currencies without a direct rate are converted through this one
+const REPORTING_CURRENCY = 'USD';
+
+// Error with an HTTP status, thrown from route helpers and turned into a response by sendError
+class ApiError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const sendError = (res, error, fallbackMessage) => {
+    if (error instanceof ApiError) {
+        return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(fallbackMessage + ':', error);
+    res.status(500).json({ message: fallbackMessage });
+};
+
 // Helper Functions
 const generateToken = (user) => {
     return jwt.sign(
@@ -94,6 +586,24 @@ const generateResetCode = () => {
     return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
+const describeActor = (user) => ({ userId: user._id, username: user.username, role: user.role });
+
+// Appends an audit event. The actor is the signed-in user unless the event names one
+// (login and password reset happen before there is a token). Pass the session to
+// record the event in the same MongoDB transaction as the change it describes.
+const recordAudit = (req, event, session = null) => AuditEvent.create([{
+    actor: event.actor || { userId: req.user.userId, username: req.user.username, role: req.user.role },
+    business: event.business,
+    action: event.action,
+    target: event.target,
+    before: event.before,
+    after: event.after,
+    ip: req ? req.ip : undefined
+}], { session });
+
+// Actor of changes made by scheduled jobs rather than a signed-in user
+const SYSTEM_ACTOR = { username: 'system', role: 'system' };
+
 // Email transporter (optional)
 const createEmailTransporter = () => {
     const emailUser = process.env.EMAIL_USER;
@@ -153,6 +663,11 @@ const authenticateToken = (req, res, next) => {
             return res.status(403).json({ message: 'Invalid or expired token' });
         }
         
+        // Support view tokens let the platform owner read a client's books, never change them
+        if (user.supportView && !['GET', 'HEAD'].includes(req.method)) {
+            return res.status(403).json({ message: 'Support view is read-only' });
+        }
+        
         req.user = user;
         next();
     });
@@ -165,9 +680,12 @@ const requireOwner = (req, res, next) => {
     next();
 };
 
+// Client accounts need an active subscription. Once subscriptionEnd has passed the
+// account is read-only for the grace period, then it expires.
 const requireActiveAccount = async (req, res, next) => {
     try {
-        if (req.user.role === 'owner') {
+        // The owner's support view is read-only and works whatever state the account is in
+        if (req.user.role === 'owner' || req.user.supportView) {
             return next();
         }
         
@@ -176,10 +694,24 @@ const requireActiveAccount = async (req, res, next) => {
             return res.status(403).json({ message: 'User not found' });
         }
         
-        if (user.accountStatus !== 'active') {
+        const subscription = await refreshSubscription(user);
+        if (subscription.state === 'grace' && ['GET', 'HEAD'].includes(req.method)) {
+            return next();
+        }
+        
+        if (subscription.state === 'grace') {
+            return res.status(403).json({
+                message: `Your subscription expired ${subscription.daysOverdue} day(s) ago. Your account is read-only until payment is received.`,
+                accountStatus: user.accountStatus,
+                subscription
+            });
+        }
+        
+        if (subscription.state !== 'active') {
             return res.status(403).json({ 
                 message: 'Account is not active. Please complete your subscription payment.',
-                accountStatus: user.accountStatus || 'inactive'
+                accountStatus: user.accountStatus || 'inactive',
+                subscription
             });
         }
         
@@ -189,9 +721,326 @@ const requireActiveAccount = async (req, res, next) => {
     }
 };
 
+// Subscriptions
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const getPlatformSettings = () => PlatformSettings.findOneAndUpdate(
+    { key: 'platform' },
+    { $setOnInsert: { key: 'platform' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+// Where a client's subscription stands: `active`, `grace` (past subscriptionEnd but
+// within the grace period, read-only), `expired`, or the account status when the
+// account is not active (pending, suspended)
+const describeSubscription = (user, settings, now = new Date()) => {
+    const end = user.subscriptionEnd;
+    const graceEndsAt = end ? new Date(end.getTime() + settings.gracePeriodDays * DAY_MS) : null;
+    const daysOverdue = end && now > end ? Math.floor((now - end) / DAY_MS) : 0;
+
+    let state = user.accountStatus;
+    if (user.accountStatus === 'active' && end && now > end) {
+        state = now > graceEndsAt ? 'expired' : 'grace';
+    }
+    return {
+        state,
+        readOnly: state === 'grace',
+        // Still on the free trial: nothing has been paid yet
+        trial: Boolean(user.trialEndsAt && !user.lastPayment),
+        subscriptionEnd: end,
+        graceEndsAt,
+        gracePeriodDays: settings.gracePeriodDays,
+        daysOverdue
+    };
+};
+
+const expireClient = async (user, before = user.accountStatus) => {
+    user.accountStatus = 'expired';
+    await user.save();
+    await recordAudit(null, {
+        actor: SYSTEM_ACTOR,
+        business: user._id,
+        action: 'client.expire',
+        target: describeClientTarget(user),
+        before: { accountStatus: before, subscriptionEnd: user.subscriptionEnd },
+        after: { accountStatus: user.accountStatus }
+    });
+};
+
+// Describes a client's subscription, first expiring it if the grace period is over
+// and the scheduled job has not got to it yet
+const refreshSubscription = async (user, settings = null) => {
+    const platform = settings || await getPlatformSettings();
+    const subscription = describeSubscription(user, platform);
+    if (user.role === 'client' && subscription.state === 'expired' && user.accountStatus === 'active') {
+        await expireClient(user);
+    }
+    return subscription;
+};
+
+// Scheduled job: moves active clients whose grace period is over to `expired`
+const expireOverdueSubscriptions = async () => {
+    try {
+        const settings = await getPlatformSettings();
+        const cutoff = new Date(Date.now() - settings.gracePeriodDays * DAY_MS);
+        const overdue = await User.find({ role: 'client', accountStatus: 'active', subscriptionEnd: { $lt: cutoff } });
+        for (const user of overdue) {
+            await expireClient(user, 'active');
+        }
+        if (overdue.length > 0) {
+            console.log(`Expired ${overdue.length} overdue subscription(s)`);
+        }
+    } catch (error) {
+        console.error('Error expiring overdue subscriptions:', error);
+    }
+};
+
+// Adds calendar months, ending on the last day of the month when the start day is not in it
+const addMonths = (date, months) => {
+    const result = new Date(date);
+    const day = result.getDate();
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+    return result;
+};
+
+const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+const nextInvoiceNumber = async (session) => {
+    const settings = await PlatformSettings.findOneAndUpdate(
+        { key: 'platform' },
+        { $inc: { lastInvoiceNumber: 1 } },
+        { new: true, session }
+    );
+    return `INV-${String(settings.lastInvoiceNumber).padStart(6, '0')}`;
+};
+
+// Plans and coupons
+const DEFAULT_PLANS = [
+    { name: 'Monthly', interval: 'monthly', price: 29.99 },
+    { name: 'Quarterly', interval: 'quarterly', price: 79.99 },
+    { name: 'Annual', interval: 'annual', price: 299.99 }
+].map(plan => ({
+    ...plan,
+    currency: 'USD',
+    features: ['Multi-currency support', 'Unlimited transactions', 'Real-time exchange rates', 'PDF/Excel reports', '24/7 customer support']
+}));
+
+const findPlan = async (id, session = null) => {
+    const plan = mongoose.isValidObjectId(id) ? await Plan.findById(id).session(session) : null;
+    if (!plan) {
+        throw new ApiError(404, 'Plan not found');
+    }
+    return plan;
+};
+
+// The plan new clients get when they do not choose one: the cheapest monthly plan on offer
+const findDefaultPlan = async (session = null) => (
+    await Plan.findOne({ active: true, interval: 'monthly' }).sort({ price: 1 }).session(session)
+    || await Plan.findOne({ active: true }).sort({ price: 1 }).session(session)
+);
+
+// The plan a payment or claim is for: the one asked for, or the client's current plan.
+// A retired plan can only be renewed by clients already on it.
+const resolvePaymentPlan = async (planId, user, session = null) => {
+    const plan = planId || user.plan ? await findPlan(planId || user.plan, session) : await findDefaultPlan(session);
+    if (!plan) {
+        throw new ApiError(400, 'Please choose a plan');
+    }
+    if (!plan.active && !plan._id.equals(user.plan)) {
+        throw new ApiError(400, `The ${plan.name} plan is no longer offered`);
+    }
+    return plan;
+};
+
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+// Why a coupon cannot be used for a plan, or null when it can
+const couponProblem = (coupon, plan, now = new Date()) => {
+    if (!coupon || !coupon.active) return 'This coupon code is not valid';
+    if (coupon.expiresAt && coupon.expiresAt <= now) return 'This coupon code has expired';
+    if (coupon.maxUses != null && coupon.uses >= coupon.maxUses) return 'This coupon code has been used up';
+    if (coupon.plans.length > 0 && !coupon.plans.some(id => id.equals(plan._id))) {
+        return `This coupon code is not valid for the ${plan.name} plan`;
+    }
+    return null;
+};
+
+const pricePlan = (plan, coupon = null) => {
+    let discount = 0;
+    if (coupon) {
+        discount = coupon.discountType === 'percent'
+            ? plan.price * Math.min(coupon.discountValue, 100) / 100
+            : Math.min(coupon.discountValue, plan.price);
+    }
+    discount = roundMoney(discount);
+    return { listPrice: plan.price, discount, amountDue: roundMoney(plan.price - discount), currency: plan.currency };
+};
+
+const findUsableCoupon = async (code, plan, session = null) => {
+    const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) }).session(session);
+    const problem = couponProblem(coupon, plan);
+    if (problem) {
+        throw new ApiError(400, problem);
+    }
+    return coupon;
+};
+
+// Counts one use of a coupon. The guard on `uses` keeps two payments from both taking
+// the last use.
+const redeemCoupon = async (code, plan, session) => {
+    const coupon = await findUsableCoupon(code, plan, session);
+    const filter = { _id: coupon._id };
+    if (coupon.maxUses != null) {
+        filter.uses = { $lt: coupon.maxUses };
+    }
+    const redeemed = await Coupon.findOneAndUpdate(filter, { $inc: { uses: 1 } }, { new: true, session });
+    if (!redeemed) {
+        throw new ApiError(409, 'This coupon code has just been used up');
+    }
+    return redeemed;
+};
+
+// Refuses to add more of something than the client's plan allows. countUsed returns
+// how many the client already has.
+const enforcePlanLimit = async (businessId, limit, countUsed, session = null) => {
+    const user = await User.findById(businessId).select('plan').populate('plan').session(session);
+    const max = user && user.plan ? user.plan.limits[limit] : null;
+    if (max == null) return;
+    if (await countUsed() >= max) {
+        throw new ApiError(403, `Your ${user.plan.name} plan allows ${max} ${PLAN_LIMITS[limit]}. Please upgrade your plan to add more.`);
+    }
+};
+
+const parsePaymentDetails = (body) => {
+    const amount = Number(body.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw new ApiError(400, 'Please enter the amount paid');
+    }
+    if (!SUPPORTED_CURRENCIES.includes(body.currency)) {
+        throw new ApiError(400, 'Please select the payment currency');
+    }
+    const method = body.method || 'mobile_money';
+    if (!PAYMENT_METHODS[method]) {
+        throw new ApiError(400, `Unknown payment method: ${method}`);
+    }
+    const reference = String(body.reference || '').trim();
+    if (method === 'mobile_money' && !reference) {
+        throw new ApiError(400, 'Please enter the mobile-money reference');
+    }
+    return {
+        amount: roundMoney(amount),
+        currency: body.currency,
+        method,
+        reference,
+        planId: body.planId ? String(body.planId) : null,
+        couponCode: normalizeCouponCode(body.couponCode),
+        // Set by the owner to record a payment that does not cover the plan's price
+        acceptMismatch: body.acceptMismatch === true
+    };
+};
+
+// Runs work(session) inside a MongoDB transaction
+const withTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+// Records a subscription payment as an invoice and extends the client's subscription by
+// one period of the plan bought, which becomes the client's plan. A payment made before
+// the subscription ends extends it from its end date; otherwise the new period starts now.
+const applySubscriptionPayment = async (req, clientId, details, session) => {
+    const user = await User.findOne({ _id: clientId, role: 'client' }).session(session);
+    if (!user) {
+        throw new ApiError(404, 'Client not found');
+    }
+
+    const { planId, couponCode, acceptMismatch, ...paid } = details;
+    const plan = await resolvePaymentPlan(planId, user, session);
+    const coupon = couponCode ? await redeemCoupon(couponCode, plan, session) : null;
+    const pricing = pricePlan(plan, coupon);
+    const mismatch = paid.currency !== pricing.currency || paid.amount < pricing.amountDue;
+    if (mismatch && !acceptMismatch) {
+        throw new ApiError(400, `The ${plan.name} plan costs ${pricing.currency} ${pricing.amountDue.toFixed(2)}${coupon ? ' after the coupon' : ''}, but ${paid.currency} ${paid.amount.toFixed(2)} was paid.`, {
+            code: 'amount_mismatch',
+            amountDue: pricing.amountDue,
+            currency: pricing.currency
+        });
+    }
+
+    const now = new Date();
+    const before = { accountStatus: user.accountStatus, subscriptionEnd: user.subscriptionEnd, plan: user.plan };
+    const periodStart = user.accountStatus === 'active' && user.subscriptionEnd > now ? user.subscriptionEnd : now;
+    const [payment] = await Payment.create([{
+        client: user._id,
+        invoiceNumber: await nextInvoiceNumber(session),
+        ...paid,
+        months: plan.months,
+        plan: plan._id,
+        planName: plan.name,
+        listPrice: pricing.listPrice,
+        couponCode: coupon ? coupon.code : undefined,
+        discount: pricing.discount,
+        amountDue: pricing.amountDue,
+        priceCurrency: pricing.currency,
+        periodStart,
+        periodEnd: addMonths(periodStart, plan.months),
+        recordedBy: { userId: String(req.user.userId), username: req.user.username },
+        paidAt: now
+    }], { session });
+
+    user.accountStatus = 'active';
+    user.subscriptionEnd = payment.periodEnd;
+    user.lastPayment = now;
+    user.plan = plan._id;
+    await user.save({ session });
+
+    await recordAudit(req, {
+        business: user._id,
+        action: before.accountStatus === 'active' ? 'payment.record' : 'client.activate',
+        target: describeClientTarget(user),
+        before,
+        after: {
+            accountStatus: user.accountStatus,
+            subscriptionEnd: user.subscriptionEnd,
+            plan: plan._id,
+            invoiceNumber: payment.invoiceNumber,
+            planName: payment.planName,
+            amount: payment.amount,
+            currency: payment.currency,
+            couponCode: payment.couponCode,
+            amountDue: payment.amountDue,
+            acceptedMismatch: mismatch || undefined
+        }
+    }, session);
+    return { user, payment };
+};
+
+const recordSubscriptionPayment = async (req, clientId, details) => {
+    // The invoice counter lives on the settings document, so make sure it exists first
+    await getPlatformSettings();
+    return withTransaction(session => applySubscriptionPayment(req, clientId, details, session));
+};
+
 // Seed initial data
 const seedDatabase = async () => {
     try {
+        if (await Plan.countDocuments() === 0) {
+            await Plan.insertMany(DEFAULT_PLANS);
+            console.log('Default plans created');
+        }
+
         // Check if admin exists
         const adminExists = await User.findOne({ username: 'admin' });
         if (!adminExists) {
@@ -205,9 +1054,7 @@ const seedDatabase = async () => {
                 subscriptionEnd: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
                 moneyExchangerData: {
                     owners: ['System Administrator'],
-                    customers: new Map(),
-                    transactions: [],
-                    ownerBalance: 0
+                    customers: new Map()
                 }
             });
             await admin.save();
@@ -228,11 +1075,10 @@ const seedDatabase = async () => {
                 accountStatus: 'active',
                 subscriptionEnd: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
                 lastPayment: new Date(),
+                plan: (await findDefaultPlan())._id,
                 moneyExchangerData: {
                     owners: ['Demo Client'],
-                    customers: new Map(),
-                    transactions: [],
-                    ownerBalance: 0
+                    customers: new Map()
                 }
             });
             await demoClient.save();
@@ -243,9 +1089,232 @@ const seedDatabase = async () => {
     }
 };
 
+// Migration: move transactions that were embedded in user documents into the
+// Transaction collection. Safe to run repeatedly; rows are upserted by id.
+const migrateEmbeddedTransactions = async () => {
+    try {
+        const users = await User.collection.find(
+            { 'moneyExchangerData.transactions.0': { $exists: true } },
+            { projection: { 'moneyExchangerData.transactions': 1, updatedAt: 1 } }
+        ).toArray();
+
+        for (const user of users) {
+            const operations = user.moneyExchangerData.transactions.map((transaction, index) => {
+                const parsedDate = new Date(transaction.date);
+                const { _id, ...fields } = transaction;
+                return {
+                    updateOne: {
+                        filter: { business: user._id, id: transaction.id || `legacy_${index}` },
+                        update: {
+                            $setOnInsert: {
+                                ...fields,
+                                id: transaction.id || `legacy_${index}`,
+                                date: isNaN(parsedDate) ? (user.updatedAt || new Date()) : parsedDate
+                            }
+                        },
+                        upsert: true
+                    }
+                };
+            });
+
+            await Transaction.bulkWrite(operations);
+            await User.collection.updateOne(
+                { _id: user._id },
+                { $unset: { 'moneyExchangerData.transactions': '' } }
+            );
+            console.log(`Migrated ${operations.length} transactions for user:`, user._id.toString());
+        }
+    } catch (error) {
+        console.error('Error migrating embedded transactions:', error);
+    }
+};
+
+// Migration: balances used to be a single number per owner/customer. The old figure
+// was always shown in dollars, so it is moved into the USD balance.
+const migrateCurrencyBalances = async () => {
+    try {
+        const users = await User.collection.find(
+            { 'moneyExchangerData.ownerBalance': { $exists: true } },
+            { projection: { 'moneyExchangerData.ownerBalance': 1, 'moneyExchangerData.customers': 1 } }
+        ).toArray();
+
+        for (const user of users) {
+            const { ownerBalance } = user.moneyExchangerData;
+            const customers = user.moneyExchangerData.customers || {};
+            const toCurrencyBalances = (value) => typeof value === 'number'
+                ? (value ? { USD: value } : {})
+                : value;
+
+            await User.collection.updateOne({ _id: user._id }, {
+                $set: {
+                    'moneyExchangerData.ownerBalances': toCurrencyBalances(ownerBalance),
+                    'moneyExchangerData.customers': Object.fromEntries(
+                        Object.entries(customers).map(([name, value]) => [name, toCurrencyBalances(value)])
+                    )
+                },
+                $unset: { 'moneyExchangerData.ownerBalance': '' }
+            });
+        }
+
+        // Effects recorded before balances were per currency are in the transaction's cash type
+        await Transaction.updateMany(
+            { 'effects.0': { $exists: true }, 'effects.currency': { $exists: false } },
+            [{
+                $set: {
+                    effects: {
+                        $map: {
+                            input: '$effects',
+                            as: 'effect',
+                            in: { $mergeObjects: ['$$effect', { currency: '$cashType' }] }
+                        }
+                    }
+                }
+            }]
+        );
+    } catch (error) {
+        console.error('Error migrating currency balances:', error);
+    }
+};
+
+// Migration: owners used to share a single set of balances. They are moved to the first
+// owner; running the balance integrity repair afterwards splits them by partner.
+const migratePartnerBalances = async () => {
+    try {
+        const users = await User.collection.find(
+            { 'moneyExchangerData.ownerBalances': { $exists: true } },
+            { projection: { 'moneyExchangerData.ownerBalances': 1, 'moneyExchangerData.owners': 1 } }
+        ).toArray();
+
+        for (const user of users) {
+            const { ownerBalances, owners = [] } = user.moneyExchangerData;
+            const partnerBalances = owners.length > 0 ? { [owners[0]]: ownerBalances || {} } : {};
+
+            await User.collection.updateOne({ _id: user._id }, {
+                $set: { 'moneyExchangerData.partnerBalances': partnerBalances },
+                $unset: { 'moneyExchangerData.ownerBalances': '' }
+            });
+        }
+    } catch (error) {
+        console.error('Error migrating partner balances:', error);
+    }
+};
+
+// Migration: customers used to be keys in the balances map. Each name gets a Customer
+// profile, the balances are re-keyed by its ID and past transactions are linked to it.
+// Each business is migrated in one transaction, so a crash part way through leaves its
+// names in place to be migrated again rather than half-linked to a profile.
+const migrateCustomerProfiles = async () => {
+    try {
+        const users = await User.collection.find(
+            { 'moneyExchangerData.customers': { $exists: true } },
+            { projection: { 'moneyExchangerData.customers': 1 } }
+        ).toArray();
+
+        for (const user of users) {
+            const balances = user.moneyExchangerData.customers || {};
+            const known = new Set((await Customer.find({ business: user._id }).select('_id')).map(c => c._id.toString()));
+            const names = Object.keys(balances).filter(key => !known.has(key));
+            if (names.length === 0) continue;
+
+            await withTransaction(async (session) => {
+                const rekeyed = {};
+                Object.entries(balances).forEach(([key, value]) => {
+                    if (known.has(key)) rekeyed[key] = value;
+                });
+
+                for (const name of names) {
+                    const [customer] = await Customer.create([{ business: user._id, name }], { session });
+                    const id = customer._id.toString();
+                    rekeyed[id] = balances[name];
+
+                    const notCustomer = { $nin: ['owner', 'system', 'walk-in'] };
+                    await Transaction.updateMany(
+                        { business: user._id, payer: name, payerType: notCustomer },
+                        { $set: { payerCustomer: customer._id } },
+                        { session }
+                    );
+                    await Transaction.updateMany(
+                        { business: user._id, receiver: name, receiverType: notCustomer },
+                        { $set: { receiverCustomer: customer._id } },
+                        { session }
+                    );
+                    await Transaction.updateMany(
+                        { business: user._id, effects: { $elemMatch: { partyType: 'customer', name } } },
+                        { $set: { 'effects.$[effect].customerId': id } },
+                        { arrayFilters: [{ 'effect.partyType': 'customer', 'effect.name': name }], session }
+                    );
+                }
+
+                await User.collection.updateOne({ _id: user._id }, {
+                    $set: { 'moneyExchangerData.customers': rekeyed }
+                }, { session });
+            });
+            console.log(`Created ${names.length} customer profiles for user:`, user._id.toString());
+        }
+    } catch (error) {
+        console.error('Error migrating customer profiles:', error);
+    }
+};
+
+// Migration: adds P&L lines to exchanges and expenses recorded before profit tracking,
+// using the rates that were in force at the time of each transaction
+const migrateProfitLines = async () => {
+    try {
+        const transactions = await Transaction.find({
+            'pnl.0': { $exists: false },
+            $or: [{ kind: 'exchange' }, { kind: 'out' }, { type: LEDGER_ENTRY_TYPES.out }]
+        });
+
+        for (const transaction of transactions) {
+            const rates = await findRatesAt(transaction.business, transaction.date);
+            transaction.pnl = buildProfitLines(transaction, rates);
+            await transaction.save();
+        }
+    } catch (error) {
+        console.error('Error migrating profit lines:', error);
+    }
+};
+
+// Migration: puts clients from before plans existed on the default plan
+const migrateClientPlans = async () => {
+    try {
+        const plan = await findDefaultPlan();
+        if (plan) {
+            await User.updateMany({ role: 'client', plan: { $exists: false } }, { $set: { plan: plan._id } });
+        }
+    } catch (error) {
+        console.error('Error migrating client plans:', error);
+    }
+};
+
+// Migration: marks which claims from before countsForReference existed hold on to their reference
+const migrateClaimReferences = async () => {
+    try {
+        await PaymentClaim.updateMany(
+            { countsForReference: { $exists: false }, status: 'rejected' },
+            { $set: { countsForReference: false } }
+        );
+        await PaymentClaim.updateMany(
+            { countsForReference: { $exists: false } },
+            { $set: { countsForReference: true } }
+        );
+    } catch (error) {
+        console.error('Error migrating payment claim references:', error);
+    }
+};
+
 // Call seed function after DB connection
-mongoose.connection.once('open', () => {
-    seedDatabase();
+mongoose.connection.once('open', async () => {
+    await seedDatabase();
+    await migrateEmbeddedTransactions();
+    await migrateCurrencyBalances();
+    await migratePartnerBalances();
+    await migrateCustomerProfiles();
+    await migrateProfitLines();
+    await migrateClientPlans();
+    await migrateClaimReferences();
+    await expireOverdueSubscriptions();
+    setInterval(expireOverdueSubscriptions, EXPIRY_CHECK_INTERVAL_MS);
 });
 
 // Authentication Routes
@@ -260,15 +1329,31 @@ app.post('/api/auth/login', async (req, res) => {
         });
 
         if (!user || !bcrypt.compareSync(password, user.password)) {
+            if (user) {
+                await recordAudit(req, {
+                    actor: describeActor(user),
+                    business: user.role === 'client' ? user._id : undefined,
+                    action: 'auth.login_failed',
+                    target: { kind: 'user', id: user._id.toString(), name: user.username }
+                });
+            }
             return res.status(401).json({ message: 'Invalid credentials' });
         }
 
+        await recordAudit(req, {
+            actor: describeActor(user),
+            business: user.role === 'client' ? user._id : undefined,
+            action: 'auth.login',
+            target: { kind: 'user', id: user._id.toString(), name: user.username }
+        });
+
+        const subscription = await refreshSubscription(user);
         const token = generateToken(user);
         const userResponse = user.toObject();
         delete userResponse.password;
         res.json({
             token,
-            user: userResponse,
+            user: { ...userResponse, subscription },
             message: 'Login successful'
         });
     } catch (error) {
@@ -278,7 +1363,7 @@ app.post('/api/auth/login', async (req, res) => {
 
 app.post('/api/auth/register', async (req, res) => {
     try {
-        const { businessName, fullName, username, email, phone, password } = req.body;
+        const { businessName, fullName, username, email, phone, password, planId } = req.body;
         
         const existingUser = await User.findOne({ 
             $or: [
@@ -291,20 +1376,30 @@ app.post('/api/auth/register', async (req, res) => {
             return res.status(400).json({ message: 'Username or email already exists' });
         }
         
-        const newUser = new User({
-            username,
+        const plan = planId ? await findPlan(planId) : await findDefaultPlan();
+        if (plan && !plan.active) {
+            throw new ApiError(400, `The ${plan.name} plan is no longer offered`);
+        }
+        
+        // New clients start on a free trial when the platform offers one
+        const settings = await getPlatformSettings();
+        const trialEndsAt = settings.trialDays > 0 ? new Date(Date.now() + settings.trialDays * DAY_MS) : undefined;
+        
+        const newUser = new User({
+            username,
             email,
             password,
             role: 'client',
             businessName,
             fullName,
             phone,
-            accountStatus: 'pending',
+            accountStatus: trialEndsAt ? 'active' : 'pending',
+            subscriptionEnd: trialEndsAt,
+            trialEndsAt,
+            plan: plan ? plan._id : undefined,
             moneyExchangerData: {
                 owners: [fullName],
-                customers: new Map(),
-                transactions: [],
-                ownerBalance: 0
+                customers: new Map()
             }
         });
         
@@ -315,11 +1410,13 @@ app.post('/api/auth/register', async (req, res) => {
         delete userResponse.password;
         res.status(201).json({
             token,
-            user: userResponse,
-            message: 'Account created successfully. Please complete payment to activate.'
+            user: { ...userResponse, subscription: describeSubscription(newUser, settings) },
+            message: trialEndsAt
+                ? `Account created successfully. Your free trial ends on ${trialEndsAt.toDateString()}.`
+                : 'Account created successfully. Please complete payment to activate.'
         });
     } catch (error) {
-        res.status(500).json({ message: 'Server error during registration' });
+        sendError(res, error, 'Server error during registration');
     }
 });
 
@@ -409,6 +1506,13 @@ app.post('/api/auth/reset-password', async (req, res) => {
         resetEntry.used = true;
         await resetEntry.save();
         
+        await recordAudit(req, {
+            actor: describeActor(user),
+            business: user.role === 'client' ? user._id : undefined,
+            action: 'auth.password_reset',
+            target: { kind: 'user', id: user._id.toString(), name: user.username }
+        });
+        
         res.json({ message: 'Password reset successful' });
     } catch (error) {
         res.status(500).json({ message: 'Server error during password reset' });
@@ -426,10 +1530,11 @@ app.get('/api/auth/me', authenticateToken, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
         
+        const subscription = await refreshSubscription(user);
         const userResponse = user.toObject();
         delete userResponse.password;
         
-        res.json({ user: userResponse });
+        res.json({ user: { ...userResponse, subscription } });
     } catch (error) {
         console.error('Error in /api/auth/me:', error);
         res.status(500).json({ message: 'Server error fetching user data' });
@@ -466,168 +1571,3123 @@ app.put('/api/auth/admin-settings', authenticateToken, requireOwner, async (req,
     }
 });
 
+// A client's own invoices. Open to every account status so an expired client can still
+// see what they paid for.
+app.get('/api/invoices', authenticateToken, async (req, res) => {
+    try {
+        const invoices = await Payment.find({ client: req.user.userId }).sort({ paidAt: -1 });
+        res.json({ invoices, methods: PAYMENT_METHODS });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching invoices');
+    }
+});
+
+// Plans on offer, for the registration form and the payment page
+app.get('/api/plans', async (req, res) => {
+    try {
+        const [plans, settings] = await Promise.all([
+            Plan.find({ active: true }).sort({ price: 1 }),
+            getPlatformSettings()
+        ]);
+        res.json({ plans, trialDays: settings.trialDays, intervals: PLAN_INTERVALS });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching plans');
+    }
+});
+
+// What a plan costs with a coupon code, without using the code up
+app.post('/api/coupons/check', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        const plan = await resolvePaymentPlan(req.body.planId, user);
+        const coupon = await findUsableCoupon(req.body.code, plan);
+        res.json({ code: coupon.code, plan: plan.name, ...pricePlan(plan, coupon) });
+    } catch (error) {
+        sendError(res, error, 'Server error checking coupon');
+    }
+});
+
+// Payment Claims
+const describeClaimTarget = (claim) => ({
+    kind: 'payment_claim',
+    id: claim._id.toString(),
+    name: claim.reference
+});
+
+const parsePaymentClaim = (body) => {
+    const { amount, currency, reference, planId, couponCode } = parsePaymentDetails({ ...body, method: 'mobile_money' });
+    const senderNumber = String(body.senderNumber || '').trim();
+    if (!senderNumber) {
+        throw new ApiError(400, 'Please enter the number you paid from');
+    }
+
+    const claim = { amount, currency, reference, planId, couponCode, senderNumber };
+    if (body.screenshot) {
+        if (!/^data:image\/(png|jpeg|gif|webp);base64,/.test(body.screenshot)) {
+            throw new ApiError(400, 'The screenshot must be a PNG, JPEG, GIF or WebP image');
+        }
+        if (body.screenshot.length * 3 / 4 > MAX_SCREENSHOT_BYTES) {
+            throw new ApiError(400, 'The screenshot must be smaller than 2 MB');
+        }
+        claim.screenshot = body.screenshot;
+        claim.hasScreenshot = true;
+    }
+    return claim;
+};
+
+const duplicateReferenceError = () => new ApiError(409, 'A payment with this transaction reference has already been submitted');
+
+// A client tells the platform owner they have paid
+app.post('/api/payment-claims', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.role !== 'client') {
+            throw new ApiError(403, 'Only client accounts can submit payment claims');
+        }
+        const { planId, ...details } = parsePaymentClaim(req.body);
+        // The owner may already have entered the same payment by hand through verify-payment
+        const [claimed, recorded] = await Promise.all([
+            PaymentClaim.exists({ reference: details.reference, countsForReference: true }),
+            Payment.exists({ reference: details.reference })
+        ]);
+        if (claimed || recorded) {
+            throw duplicateReferenceError();
+        }
+
+        // The coupon is checked now so the client knows at once, but only used on approval
+        const user = await User.findById(req.user.userId);
+        const plan = await resolvePaymentPlan(planId, user);
+        if (details.couponCode) {
+            await findUsableCoupon(details.couponCode, plan);
+        }
+
+        const claim = await PaymentClaim.create({ client: req.user.userId, ...details, plan: plan._id, couponCode: details.couponCode || undefined });
+        await recordAudit(req, {
+            business: claim.client,
+            action: 'payment.claim',
+            target: describeClaimTarget(claim),
+            after: { amount: claim.amount, currency: claim.currency, plan: plan.name, couponCode: claim.couponCode, senderNumber: claim.senderNumber }
+        });
+
+        const { screenshot, ...saved } = claim.toObject();
+        res.status(201).json({ message: 'Payment submitted. It will be checked and your account updated shortly.', claim: saved });
+    } catch (error) {
+        // Another claim with the same reference got in first
+        if (error.code === 11000) {
+            return sendError(res, duplicateReferenceError(), 'Server error submitting payment');
+        }
+        sendError(res, error, 'Server error submitting payment');
+    }
+});
+
+app.get('/api/payment-claims', authenticateToken, async (req, res) => {
+    try {
+        const claims = await PaymentClaim.find({ client: req.user.userId })
+            .select('-screenshot')
+            .sort({ createdAt: -1 })
+            .populate('plan', 'name interval price currency');
+        res.json({ claims });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching payment claims');
+    }
+});
+
+// Notifications
+// A client's unread notices. Open to every account status so a suspended client can
+// see why.
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+        const notifications = await Notification.find({ client: req.user.userId, readAt: null })
+            .sort({ createdAt: -1 })
+            .limit(20);
+        res.json({ notifications });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching notifications');
+    }
+});
+
+app.post('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const notification = mongoose.isValidObjectId(req.params.id)
+            ? await Notification.findOneAndUpdate(
+                { _id: req.params.id, client: req.user.userId },
+                { $set: { readAt: new Date() } },
+                { new: true }
+            )
+            : null;
+        if (!notification) {
+            throw new ApiError(404, 'Notification not found');
+        }
+        res.json({ notification });
+    } catch (error) {
+        sendError(res, error, 'Server error updating notification');
+    }
+});
+
 // Owner Routes
+const describeClientTarget = (client) => ({
+    kind: 'client',
+    id: client._id.toString(),
+    name: client.businessName || client.fullName
+});
+
+// Revenue analytics
+const MAX_ANALYTICS_MONTHS = 36;
+// Ways a client stops paying; each client counts once per month
+const CHURN_ACTIONS = ['client.expire', 'client.suspend'];
+
+// The last `count` months as YYYY-MM keys in the timezone, oldest first
+const recentMonthKeys = (count, timezone, now = new Date()) => {
+    const [year, month] = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit' })
+        .format(now).split('-').map(Number);
+    return Array.from({ length: count }, (_, index) => {
+        const date = new Date(Date.UTC(year, month - 1 - (count - 1 - index), 1));
+        return date.toISOString().slice(0, 7);
+    });
+};
+
+const describeClientAccount = (client, now) => ({
+    id: client._id,
+    name: client.businessName || client.fullName,
+    email: client.email,
+    plan: client.plan ? client.plan.name : null,
+    accountStatus: client.accountStatus,
+    subscriptionEnd: client.subscriptionEnd,
+    daysLeft: client.subscriptionEnd ? Math.ceil((client.subscriptionEnd - now) / DAY_MS) : null
+});
+
+// Collected revenue, new and churned clients per month, recurring revenue, upcoming
+// renewals and overdue accounts. Payments are totalled per currency as recorded.
+const buildRevenueAnalytics = async (months, timezone) => {
+    const now = new Date();
+    const monthKeys = recentMonthKeys(months, timezone, now);
+    // A day early so the first month is complete in any timezone; later buckets are filtered by key
+    const since = new Date(new Date(`${monthKeys[0]}-01T00:00:00Z`).getTime() - DAY_MS);
+    const monthOf = (field) => ({ $dateToString: { format: '%Y-%m', date: field, timezone } });
+
+    const [collected, signups, churn, payingClients, renewals, overdue] = await Promise.all([
+        Payment.aggregate([
+            { $match: { paidAt: { $gte: since } } },
+            { $group: { _id: { month: monthOf('$paidAt'), currency: '$currency' }, amount: { $sum: '$amount' }, payments: { $sum: 1 } } }
+        ]),
+        User.aggregate([
+            { $match: { role: 'client', createdAt: { $gte: since } } },
+            { $group: { _id: monthOf('$createdAt'), count: { $sum: 1 } } }
+        ]),
+        AuditEvent.aggregate([
+            { $match: { action: { $in: CHURN_ACTIONS }, createdAt: { $gte: since } } },
+            { $group: { _id: { month: monthOf('$createdAt'), business: '$business' } } },
+            { $group: { _id: '$_id.month', count: { $sum: 1 } } }
+        ]),
+        User.find({ role: 'client', accountStatus: 'active', lastPayment: { $ne: null }, subscriptionEnd: { $gte: now } })
+            .select('plan')
+            .populate('plan'),
+        User.find({ role: 'client', accountStatus: 'active', subscriptionEnd: { $gte: now, $lte: new Date(now.getTime() + 30 * DAY_MS) } })
+            .select('businessName fullName email accountStatus subscriptionEnd plan')
+            .populate('plan', 'name')
+            .sort({ subscriptionEnd: 1 }),
+        User.find({
+            role: 'client',
+            $or: [{ accountStatus: 'expired' }, { accountStatus: 'active', subscriptionEnd: { $lt: now } }]
+        })
+            .select('businessName fullName email accountStatus subscriptionEnd plan')
+            .populate('plan', 'name')
+            .sort({ subscriptionEnd: 1 })
+    ]);
+
+    const counts = (rows) => Object.fromEntries(rows.map(row => [row._id, row.count]));
+    const newClients = counts(signups);
+    const churnedClients = counts(churn);
+    const revenueByMonth = monthKeys.map(month => {
+        const rows = collected.filter(row => row._id.month === month);
+        return {
+            month,
+            collected: Object.fromEntries(rows.map(row => [row._id.currency, roundMoney(row.amount)])),
+            payments: rows.reduce((total, row) => total + row.payments, 0),
+            newClients: newClients[month] || 0,
+            churnedClients: churnedClients[month] || 0
+        };
+    });
+
+    // Each paying client's plan price spread over the months it covers; trials pay nothing
+    const mrr = roundMoney(payingClients
+        .filter(client => client.plan && client.plan.currency === REPORTING_CURRENCY)
+        .reduce((total, client) => total + client.plan.price / client.plan.months, 0));
+
+    const upcoming = renewals.map(client => describeClientAccount(client, now));
+    return {
+        currency: REPORTING_CURRENCY,
+        revenueByMonth,
+        collectedThisMonth: revenueByMonth[revenueByMonth.length - 1].collected,
+        mrr,
+        renewals: {
+            next7Days: upcoming.filter(client => client.daysLeft <= 7).length,
+            next30Days: upcoming.length,
+            clients: upcoming
+        },
+        overdue: overdue.map(client => ({
+            ...describeClientAccount(client, now),
+            daysOverdue: client.subscriptionEnd ? Math.floor((now - client.subscriptionEnd) / DAY_MS) : null
+        }))
+    };
+};
+
 app.get('/api/owner/stats', authenticateToken, requireOwner, async (req, res) => {
     try {
+        const months = Math.min(MAX_ANALYTICS_MONTHS, Math.max(1, parseInt(req.query.months, 10) || 12));
+        const timezone = req.query.timezone || 'UTC';
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (e) {
+            return res.status(400).json({ message: 'Invalid timezone' });
+        }
+
         const totalClients = await User.countDocuments({ role: 'client' });
         const activeClients = await User.countDocuments({ role: 'client', accountStatus: 'active' });
         const pendingPayments = await User.countDocuments({ role: 'client', accountStatus: 'pending' });
+        const expiredClients = await User.countDocuments({ role: 'client', accountStatus: 'expired' });
+        const analytics = await buildRevenueAnalytics(months, timezone);
         
-        const monthlyRevenue = activeClients * 29.99;
         res.json({
             totalClients,
             activeClients,
             pendingPayments,
-            monthlyRevenue
+            expiredClients,
+            // What was actually collected this month in the reporting currency
+            monthlyRevenue: analytics.collectedThisMonth[REPORTING_CURRENCY] || 0,
+            ...analytics
         });
     } catch (error) {
-        res.status(500).json({ message: 'Server error fetching stats' });
+        sendError(res, error, 'Server error fetching stats');
     }
 });
 
 app.get('/api/owner/clients', authenticateToken, requireOwner, async (req, res) => {
     try {
-        const clients = await User.find({ role: 'client' }).select('-password');
+        const clients = await User.find({ role: 'client' }).select('-password').populate('plan', 'name interval price currency');
         res.json(clients);
     } catch (error) {
         res.status(500).json({ message: 'Server error fetching clients' });
     }
 });
 
+app.get('/api/owner/settings', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const settings = await getPlatformSettings();
+        res.json({ gracePeriodDays: settings.gracePeriodDays, trialDays: settings.trialDays });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching settings');
+    }
+});
+
+app.put('/api/owner/settings', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const changes = {};
+        for (const [field, label] of [['gracePeriodDays', 'Grace period'], ['trialDays', 'Free trial']]) {
+            if (req.body[field] === undefined) continue;
+            const days = Number(req.body[field]);
+            if (!Number.isInteger(days) || days < 0) {
+                throw new ApiError(400, `${label} must be a whole number of days`);
+            }
+            changes[field] = days;
+        }
+
+        const settings = await getPlatformSettings();
+        const before = { gracePeriodDays: settings.gracePeriodDays, trialDays: settings.trialDays };
+        Object.assign(settings, changes);
+        await settings.save();
+        await recordAudit(req, {
+            action: 'platform.settings',
+            target: { kind: 'platform', id: 'platform', name: 'Platform settings' },
+            before,
+            after: { gracePeriodDays: settings.gracePeriodDays, trialDays: settings.trialDays }
+        });
+
+        await expireOverdueSubscriptions();
+        res.json({ message: 'Settings saved', gracePeriodDays: settings.gracePeriodDays, trialDays: settings.trialDays });
+    } catch (error) {
+        sendError(res, error, 'Server error saving settings');
+    }
+});
+
+// Every audit event on the platform, optionally for one client business
+app.get('/api/owner/audit', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.business) {
+            if (!mongoose.isValidObjectId(req.query.business)) {
+                throw new ApiError(400, 'Invalid client');
+            }
+            filter.business = req.query.business;
+        }
+        await listAuditEvents(res, filter, req.query);
+    } catch (error) {
+        sendError(res, error, 'Server error fetching audit log');
+    }
+});
+
+// Records the payment as an invoice and extends the subscription by the months purchased
 app.post('/api/owner/verify-payment/:clientId', authenticateToken, requireOwner, async (req, res) => {
     try {
-        const user = await User.findOne({ _id: req.params.clientId, role: 'client' });
-        
-        if (!user) {
-            return res.status(404).json({ message: 'Client not found' });
+        if (!mongoose.isValidObjectId(req.params.clientId)) {
+            throw new ApiError(404, 'Client not found');
         }
+        const details = parsePaymentDetails(req.body);
+        const { user, payment } = await recordSubscriptionPayment(req, req.params.clientId, details);
         
-        user.accountStatus = 'active';
-        user.subscriptionEnd = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-        user.lastPayment = new Date();
-        await user.save();
-        
-        res.json({ message: 'Payment verified and account activated' });
+        res.json({
+            message: `Payment recorded as ${payment.invoiceNumber}. Subscription active until ${user.subscriptionEnd.toDateString()}`,
+            payment
+        });
     } catch (error) {
-        res.status(500).json({ message: 'Server error verifying payment' });
+        sendError(res, error, 'Server error verifying payment');
     }
 });
 
-app.post('/api/owner/suspend/:clientId', authenticateToken, requireOwner, async (req, res) => {
+// The verification queue: pending claims oldest first, or reviewed claims newest first
+app.get('/api/owner/payment-claims', authenticateToken, requireOwner, async (req, res) => {
     try {
-        const user = await User.findOne({ _id: req.params.clientId, role: 'client' });
-        
-        if (!user) {
-            return res.status(404).json({ message: 'Client not found' });
+        const status = req.query.status || 'pending';
+        if (!['pending', 'approved', 'rejected'].includes(status)) {
+            throw new ApiError(400, `Unknown claim status: ${status}`);
         }
-        
-        user.accountStatus = 'suspended';
-        await user.save();
-        
-        res.json({ message: 'Client account suspended' });
+        const claims = await PaymentClaim.find({ status })
+            .select('-screenshot')
+            .sort({ createdAt: status === 'pending' ? 1 : -1 })
+            .limit(200)
+            .populate('client', 'username fullName businessName email accountStatus subscriptionEnd')
+            .populate('plan', 'name interval price currency');
+        res.json({ claims });
     } catch (error) {
-        res.status(500).json({ message: 'Server error suspending client' });
+        sendError(res, error, 'Server error fetching payment claims');
     }
 });
 
-// Money Exchanger System Routes
-app.get('/api/money-exchanger/data', authenticateToken, requireActiveAccount, async (req, res) => {
+const findClaim = async (id, session = null) => {
+    const claim = mongoose.isValidObjectId(id) ? await PaymentClaim.findById(id).session(session) : null;
+    if (!claim) {
+        throw new ApiError(404, 'Payment claim not found');
+    }
+    return claim;
+};
+
+app.get('/api/owner/payment-claims/:id/screenshot', authenticateToken, requireOwner, async (req, res) => {
     try {
-        const user = await User.findById(req.user.userId);
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
+        const claim = await findClaim(req.params.id);
+        if (!claim.screenshot) {
+            throw new ApiError(404, 'This claim has no screenshot');
+        }
+        res.json({ screenshot: claim.screenshot });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching screenshot');
+    }
+});
+
+// Marks a pending claim as reviewed. Only one review can win, so a claim approved or
+// rejected on another device is reported as a conflict.
+const reviewClaim = async (req, id, update, session) => {
+    const claim = await findClaim(id, session);
+    const reviewed = await PaymentClaim.findOneAndUpdate(
+        { _id: claim._id, status: 'pending' },
+        {
+            $set: {
+                ...update,
+                reviewedBy: { userId: String(req.user.userId), username: req.user.username },
+                reviewedAt: new Date()
+            }
+        },
+        { new: true, session }
+    );
+    if (!reviewed) {
+        throw new ApiError(409, `This payment claim was already ${claim.status}`);
+    }
+    return reviewed;
+};
+
+// Approving records the payment as an invoice, as if the owner had entered it, and uses
+// the coupon. The owner can correct the amount, plan or coupon when they differ from what
+// the client claimed.
+app.post('/api/owner/payment-claims/:id/approve', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        await getPlatformSettings();
+        const { claim, user, payment } = await withTransaction(async (session) => {
+            const claim = await reviewClaim(req, req.params.id, { status: 'approved' }, session);
+            const details = parsePaymentDetails({
+                amount: req.body.amount ?? claim.amount,
+                currency: claim.currency,
+                method: 'mobile_money',
+                reference: claim.reference,
+                planId: req.body.planId ?? claim.plan,
+                couponCode: req.body.couponCode ?? claim.couponCode,
+                acceptMismatch: req.body.acceptMismatch
+            });
+            const { user, payment } = await applySubscriptionPayment(req, claim.client, details, session);
+            claim.payment = payment._id;
+            await claim.save({ session });
+
+            await recordAudit(req, {
+                business: claim.client,
+                action: 'payment.claim_approve',
+                target: describeClaimTarget(claim),
+                before: { status: 'pending', amount: claim.amount, couponCode: claim.couponCode },
+                after: { status: claim.status, invoiceNumber: payment.invoiceNumber, amount: payment.amount, plan: payment.planName, couponCode: payment.couponCode }
+            }, session);
+            return { claim, user, payment };
+        });
+
+        const { screenshot, ...approved } = claim.toObject();
+        res.json({
+            message: `Payment approved as ${payment.invoiceNumber}. Subscription active until ${user.subscriptionEnd.toDateString()}`,
+            claim: approved,
+            payment
+        });
+    } catch (error) {
+        sendError(res, error, 'Server error approving payment claim');
+    }
+});
+
+app.post('/api/owner/payment-claims/:id/reject', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const reason = String(req.body.reason || '').trim();
+        if (!reason) {
+            throw new ApiError(400, 'Please give a reason for rejecting the payment');
         }
 
-        // Convert Map to Object for JSON serialization
-        const customersObject = {};
-        user.moneyExchangerData.customers.forEach((value, key) => {
-            customersObject[key] = value;
+        const claim = await withTransaction(async (session) => {
+            const claim = await reviewClaim(req, req.params.id, { status: 'rejected', countsForReference: false, rejectionReason: reason }, session);
+            await recordAudit(req, {
+                business: claim.client,
+                action: 'payment.claim_reject',
+                target: describeClaimTarget(claim),
+                before: { status: 'pending' },
+                after: { status: claim.status, rejectionReason: reason }
+            }, session);
+            return claim;
         });
 
+        const { screenshot, ...rejected } = claim.toObject();
+        res.json({ message: 'Payment claim rejected', claim: rejected });
+    } catch (error) {
+        sendError(res, error, 'Server error rejecting payment claim');
+    }
+});
+
+// Every recorded payment, optionally for one client
+app.get('/api/owner/payments', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.client) {
+            if (!mongoose.isValidObjectId(req.query.client)) {
+                throw new ApiError(400, 'Invalid client');
+            }
+            filter.client = req.query.client;
+        }
+        const payments = await Payment.find(filter)
+            .sort({ paidAt: -1 })
+            .populate('client', 'username fullName businessName email');
+        res.json({ payments, methods: PAYMENT_METHODS });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching payments');
+    }
+});
+
+// Plans
+const describePlanTarget = (plan) => ({ kind: 'plan', id: plan._id.toString(), name: plan.name });
+
+// An empty limit is unlimited
+const parsePlanLimit = (value, label) => {
+    if (value === undefined || value === null || value === '') return null;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new ApiError(400, `${label} must be a whole number, or empty for unlimited`);
+    }
+    return limit;
+};
+
+const parsePlan = (body) => {
+    const name = String(body.name || '').trim();
+    if (!name) {
+        throw new ApiError(400, 'Plan name is required');
+    }
+    if (!PLAN_INTERVALS[body.interval]) {
+        throw new ApiError(400, 'Billing period must be monthly, quarterly or annual');
+    }
+    const price = Number(body.price);
+    if (!Number.isFinite(price) || price < 0) {
+        throw new ApiError(400, 'Please enter a valid price');
+    }
+    const currency = body.currency || 'USD';
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        throw new ApiError(400, `Unsupported currency: ${currency}`);
+    }
+    const limits = body.limits || {};
+    return {
+        name,
+        interval: body.interval,
+        price: roundMoney(price),
+        currency,
+        limits: Object.fromEntries(Object.entries(PLAN_LIMITS).map(([key, label]) => [
+            key,
+            parsePlanLimit(limits[key], `The limit on ${label}`)
+        ])),
+        features: parseList(body.features),
+        active: body.active !== false
+    };
+};
+
+const snapshotPlan = (plan) => {
+    const { name, interval, price, currency, limits, features, active } = plan.toObject();
+    return { name, interval, price, currency, limits, features, active };
+};
+
+app.get('/api/owner/plans', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const plans = await Plan.find().sort({ active: -1, price: 1 });
+        const clients = await User.aggregate([
+            { $match: { role: 'client', plan: { $ne: null } } },
+            { $group: { _id: '$plan', count: { $sum: 1 } } }
+        ]);
+        const clientCounts = Object.fromEntries(clients.map(entry => [entry._id.toString(), entry.count]));
         res.json({
-            owners: user.moneyExchangerData.owners,
-            customers: customersObject,
-            transactions: user.moneyExchangerData.transactions,
-            ownerBalance: user.moneyExchangerData.ownerBalance
+            plans: plans.map(plan => ({ ...plan.toObject(), clients: clientCounts[plan._id.toString()] || 0 })),
+            intervals: PLAN_INTERVALS,
+            limits: PLAN_LIMITS
         });
     } catch (error) {
-        res.status(500).json({ message: 'Server error fetching Money Exchanger data' });
+        sendError(res, error, 'Server error fetching plans');
     }
 });
 
-app.put('/api/money-exchanger/data', authenticateToken, requireActiveAccount, async (req, res) => {
+app.post('/api/owner/plans', authenticateToken, requireOwner, async (req, res) => {
     try {
-        const user = await User.findById(req.user.userId);
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
+        const plan = await Plan.create(parsePlan(req.body));
+        await recordAudit(req, {
+            action: 'plan.create',
+            target: describePlanTarget(plan),
+            after: snapshotPlan(plan)
+        });
+        res.status(201).json({ message: 'Plan created', plan });
+    } catch (error) {
+        sendError(res, error, 'Server error creating plan');
+    }
+});
+
+// Changes apply to the plan's next payments; invoices keep the price that was paid
+app.put('/api/owner/plans/:id', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const plan = await findPlan(req.params.id);
+        const before = snapshotPlan(plan);
+        plan.set(parsePlan(req.body));
+        await plan.save();
+        await recordAudit(req, {
+            action: 'plan.update',
+            target: describePlanTarget(plan),
+            before,
+            after: snapshotPlan(plan)
+        });
+        res.json({ message: 'Plan saved', plan });
+    } catch (error) {
+        sendError(res, error, 'Server error saving plan');
+    }
+});
+
+// Coupons
+const describeCouponTarget = (coupon) => ({ kind: 'coupon', id: coupon._id.toString(), name: coupon.code });
+
+const parseCoupon = async (body) => {
+    if (!['percent', 'fixed'].includes(body.discountType)) {
+        throw new ApiError(400, 'Discount must be a percentage or a fixed amount');
+    }
+    const discountValue = Number(body.discountValue);
+    if (!Number.isFinite(discountValue) || discountValue <= 0 || (body.discountType === 'percent' && discountValue > 100)) {
+        throw new ApiError(400, 'Please enter a valid discount');
+    }
+    const maxUses = parsePlanLimit(body.maxUses, 'Usage limit');
+    let expiresAt = null;
+    if (body.expiresAt) {
+        expiresAt = new Date(body.expiresAt);
+        if (isNaN(expiresAt)) {
+            throw new ApiError(400, 'Invalid expiry date');
         }
+    }
+    const plans = parseList(body.plans);
+    if (plans.some(id => !mongoose.isValidObjectId(id)) || await Plan.countDocuments({ _id: { $in: plans } }) !== plans.length) {
+        throw new ApiError(400, 'Unknown plan');
+    }
+    return {
+        description: String(body.description || '').trim(),
+        discountType: body.discountType,
+        discountValue: roundMoney(discountValue),
+        maxUses,
+        expiresAt,
+        plans,
+        active: body.active !== false
+    };
+};
 
-        // Update money exchanger data
-        user.moneyExchangerData.owners = req.body.owners;
-        user.moneyExchangerData.customers = new Map(Object.entries(req.body.customers));
-        user.moneyExchangerData.transactions = req.body.transactions;
-        user.moneyExchangerData.ownerBalance = req.body.ownerBalance;
+const snapshotCoupon = (coupon) => {
+    const { code, description, discountType, discountValue, maxUses, uses, expiresAt, plans, active } = coupon.toObject();
+    return { code, description, discountType, discountValue, maxUses, uses, expiresAt, plans, active };
+};
 
-        await user.save();
+const findCoupon = async (id) => {
+    const coupon = mongoose.isValidObjectId(id) ? await Coupon.findById(id) : null;
+    if (!coupon) {
+        throw new ApiError(404, 'Coupon not found');
+    }
+    return coupon;
+};
 
-        console.log('Saving Money Exchanger data for user:', req.user.userId);
-        res.json({ message: 'Money Exchanger data saved successfully' });
+app.get('/api/owner/coupons', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const coupons = await Coupon.find().sort({ createdAt: -1 }).populate('plans', 'name');
+        res.json({ coupons });
     } catch (error) {
-        res.status(500).json({ message: 'Server error saving Money Exchanger data' });
+        sendError(res, error, 'Server error fetching coupons');
     }
 });
 
-app.post('/api/money-exchanger/owners', authenticateToken, requireActiveAccount, async (req, res) => {
+app.post('/api/owner/coupons', authenticateToken, requireOwner, async (req, res) => {
     try {
-        const { name } = req.body;
-        
-        if (!name) {
-            return res.status(400).json({ message: 'Owner name is required' });
+        const code = normalizeCouponCode(req.body.code);
+        if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+            throw new ApiError(400, 'Coupon codes are 3 to 32 letters, digits, dashes or underscores');
         }
-        
-        const user = await User.findById(req.user.userId);
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
+        if (await Coupon.exists({ code })) {
+            throw new ApiError(409, `Coupon code ${code} already exists`);
         }
+        const coupon = await Coupon.create({ code, ...await parseCoupon(req.body) });
+        await recordAudit(req, {
+            action: 'coupon.create',
+            target: describeCouponTarget(coupon),
+            after: snapshotCoupon(coupon)
+        });
+        res.status(201).json({ message: `Coupon ${code} created`, coupon });
+    } catch (error) {
+        sendError(res, error, 'Server error creating coupon');
+    }
+});
+
+// The code and its use count cannot be changed
+app.put('/api/owner/coupons/:id', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const coupon = await findCoupon(req.params.id);
+        const before = snapshotCoupon(coupon);
+        coupon.set(await parseCoupon(req.body));
+        await coupon.save();
+        await recordAudit(req, {
+            action: 'coupon.update',
+            target: describeCouponTarget(coupon),
+            before,
+            after: snapshotCoupon(coupon)
+        });
+        res.json({ message: `Coupon ${coupon.code} saved`, coupon });
+    } catch (error) {
+        sendError(res, error, 'Server error saving coupon');
+    }
+});
+
+// Client lifecycle
+// Every change the owner makes to a client account needs a reason. The reason is kept
+// in the audit log and passed on to the client with the notification.
+const MAX_EXTENSION_MONTHS = 36;
+
+const CLIENT_PROFILE_FIELDS = {
+    fullName: 'Full name',
+    businessName: 'Business name',
+    username: 'Username',
+    email: 'Email',
+    phone: 'Phone'
+};
+
+const requireReason = (body) => {
+    const reason = String(body.reason || '').trim();
+    if (!reason) {
+        throw new ApiError(400, 'Please give a reason; the client will be told it');
+    }
+    return reason;
+};
+
+const findClient = async (clientId, session = null) => {
+    const user = mongoose.isValidObjectId(clientId)
+        ? await User.findOne({ _id: clientId, role: 'client' }).session(session)
+        : null;
+    if (!user) {
+        throw new ApiError(404, 'Client not found');
+    }
+    return user;
+};
+
+const notifyClient = (user, notice, session = null) => Notification.create([{ client: user._id, ...notice }], { session });
 
-        if (!user.moneyExchangerData.owners.includes(name)) {
-            user.moneyExchangerData.owners.push(name);
-            await user.save();
+// Emails a notice to the client too when email is configured. Delivery is best effort;
+// the notification in the app is the record.
+const emailNotice = (email, notice) => {
+    const transporter = createEmailTransporter();
+    if (!transporter) return;
+
+    transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: `CashBook Pro: ${notice.title}`,
+        text: `${notice.message}${notice.reason ? `\n\nReason: ${notice.reason}` : ''}`
+    }, (error) => {
+        if (error) {
+            console.error('Error sending notification email:', error);
         }
+    });
+};
+
+// Applies an owner's change to a client account. change(user, session) makes the change
+// and returns the audit before/after and the notice for the client; the account, audit
+// event and notification are saved together.
+const changeClientAccount = async (req, action, change) => {
+    const reason = requireReason(req.body);
+    const { user, notice, result } = await withTransaction(async (session) => {
+        const user = await findClient(req.params.clientId, session);
+        const { before, after, notice, result } = await change(user, session);
+        await user.save({ session });
+        await recordAudit(req, {
+            business: user._id,
+            action,
+            target: describeClientTarget(user),
+            before,
+            after: { ...after, reason }
+        }, session);
+        await notifyClient(user, { ...notice, reason }, session);
+        return { user, notice, result };
+    });
+    emailNotice(user.email, { ...notice, reason });
+    return { user, ...result };
+};
+
+app.post('/api/owner/suspend/:clientId', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        await changeClientAccount(req, 'client.suspend', async (user) => {
+            if (user.accountStatus === 'suspended') {
+                throw new ApiError(400, 'This client is already suspended');
+            }
+            const before = { accountStatus: user.accountStatus };
+            user.accountStatus = 'suspended';
+            return {
+                before,
+                after: { accountStatus: user.accountStatus },
+                notice: { title: 'Account suspended', message: 'Your CashBook Pro account has been suspended by the platform owner.' }
+            };
+        });
         
-        console.log('Adding owner:', name, 'for user:', req.user.userId);
-        res.json({ message: 'Owner added successfully' });
+        res.json({ message: 'Client account suspended' });
     } catch (error) {
-        res.status(500).json({ message: 'Server error adding owner' });
+        sendError(res, error, 'Server error suspending client');
     }
 });
 
-app.post('/api/money-exchanger/transactions', authenticateToken, requireActiveAccount, async (req, res) => {
+// Lifts a suspension. The subscription end date is unchanged, so a client whose
+// subscription ran out while suspended still has to pay.
+app.post('/api/owner/clients/:clientId/reactivate', authenticateToken, requireOwner, async (req, res) => {
     try {
-        const transaction = req.body;
-        
-        if (!transaction.payer || !transaction.receiver || !transaction.amount) {
-            return res.status(400).json({ message: 'Missing required transaction fields' });
-        }
-        
-        transaction.id = `tx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        transaction.date = new Date().toLocaleString();
-        
-        const user = await User.findById(req.user.userId);
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
-        }
+        const { user } = await changeClientAccount(req, 'client.reactivate', async (user) => {
+            if (user.accountStatus !== 'suspended') {
+                throw new ApiError(400, 'Only suspended clients can be reactivated');
+            }
+            user.accountStatus = 'active';
+            return {
+                before: { accountStatus: 'suspended' },
+                after: { accountStatus: user.accountStatus },
+                notice: { title: 'Account reactivated', message: 'Your CashBook Pro account has been reactivated.' }
+            };
+        });
 
-        user.moneyExchangerData.transactions.push(transaction);
-        await user.save();
-        
-        console.log('Adding transaction:', transaction, 'for user:', req.user.userId);
-        res.status(201).json({ 
-            message: 'Transaction added successfully',
-            transaction: transaction
+        const subscription = await refreshSubscription(user);
+        res.json({
+            message: subscription.state === 'active'
+                ? 'Client account reactivated'
+                : `Client account reactivated, but their subscription ended on ${user.subscriptionEnd.toDateString()}`,
+            subscription
         });
     } catch (error) {
-        res.status(500).json({ message: 'Server error adding transaction' });
+        sendError(res, error, 'Server error reactivating client');
+    }
+});
+
+// Extends a subscription without a payment, e.g. as compensation. Like a payment, the
+// extra months start at the end of a subscription that is still running.
+app.post('/api/owner/clients/:clientId/extend', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const months = Number(req.body.months);
+        if (!Number.isInteger(months) || months < 1 || months > MAX_EXTENSION_MONTHS) {
+            throw new ApiError(400, `Please enter between 1 and ${MAX_EXTENSION_MONTHS} months`);
+        }
+
+        const { user } = await changeClientAccount(req, 'client.extend', async (user) => {
+            const now = new Date();
+            const before = { accountStatus: user.accountStatus, subscriptionEnd: user.subscriptionEnd };
+            const start = user.subscriptionEnd > now ? user.subscriptionEnd : now;
+            user.subscriptionEnd = addMonths(start, months);
+            // A suspension stays until the owner lifts it
+            if (user.accountStatus !== 'suspended') {
+                user.accountStatus = 'active';
+            }
+            return {
+                before,
+                after: { accountStatus: user.accountStatus, subscriptionEnd: user.subscriptionEnd, months },
+                notice: {
+                    title: 'Subscription extended',
+                    message: `Your subscription has been extended by ${months} month(s) to ${user.subscriptionEnd.toDateString()}.`
+                }
+            };
+        });
+
+        res.json({ message: `Subscription extended until ${user.subscriptionEnd.toDateString()}` });
+    } catch (error) {
+        sendError(res, error, 'Server error extending subscription');
+    }
+});
+
+// Moves a client to another plan. Its limits apply at once; its price from the next payment.
+app.put('/api/owner/clients/:clientId/plan', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const { user, plan } = await changeClientAccount(req, 'client.plan_change', async (user, session) => {
+            const plan = await findPlan(req.body.planId, session);
+            if (!plan.active) {
+                throw new ApiError(400, `The ${plan.name} plan is no longer offered`);
+            }
+            if (plan._id.equals(user.plan)) {
+                throw new ApiError(400, `This client is already on the ${plan.name} plan`);
+            }
+            const current = user.plan ? await Plan.findById(user.plan).session(session) : null;
+            const before = { plan: user.plan, planName: current ? current.name : null };
+            user.plan = plan._id;
+            return {
+                before,
+                after: { plan: plan._id, planName: plan.name },
+                notice: {
+                    title: 'Plan changed',
+                    message: `Your plan has been changed to ${plan.name}. Its limits apply now and its price of ${plan.currency} ${plan.price.toFixed(2)} from your next payment.`
+                },
+                result: { plan }
+            };
+        });
+
+        res.json({ message: `${user.businessName || user.fullName} moved to the ${plan.name} plan` });
+    } catch (error) {
+        sendError(res, error, 'Server error changing plan');
+    }
+});
+
+// Sets a temporary password and returns it once, for the owner to pass on to the client.
+// It is never sent in the notification or email.
+app.post('/api/owner/clients/:clientId/reset-password', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const { temporaryPassword } = await changeClientAccount(req, 'client.password_reset', async (user) => {
+            const temporaryPassword = crypto.randomBytes(6).toString('base64url');
+            user.password = temporaryPassword;
+            return {
+                after: {},
+                notice: {
+                    title: 'Password reset',
+                    message: 'Your password has been reset by the platform owner. Contact support for your temporary password, then choose a new one with "Forgot password".'
+                },
+                result: { temporaryPassword }
+            };
+        });
+
+        res.json({ message: 'Password reset', temporaryPassword });
+    } catch (error) {
+        sendError(res, error, 'Server error resetting password');
+    }
+});
+
+app.put('/api/owner/clients/:clientId', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const changes = {};
+        for (const field of Object.keys(CLIENT_PROFILE_FIELDS)) {
+            if (req.body[field] === undefined) continue;
+            changes[field] = String(req.body[field]).trim();
+        }
+        for (const field of ['fullName', 'username', 'email']) {
+            if (changes[field] === '') {
+                throw new ApiError(400, `${CLIENT_PROFILE_FIELDS[field]} is required`);
+            }
+        }
+
+        const { user } = await changeClientAccount(req, 'client.update', async (user, session) => {
+            const changed = Object.keys(changes).filter(field => changes[field] !== (user[field] || ''));
+            if (changed.length === 0) {
+                throw new ApiError(400, 'Nothing to change');
+            }
+            for (const field of ['username', 'email']) {
+                if (changed.includes(field) && await User.exists({ [field]: changes[field], _id: { $ne: user._id } }).session(session)) {
+                    throw new ApiError(400, `${CLIENT_PROFILE_FIELDS[field]} already exists`);
+                }
+            }
+
+            const before = Object.fromEntries(changed.map(field => [field, user[field]]));
+            changed.forEach(field => { user[field] = changes[field]; });
+            return {
+                before,
+                after: Object.fromEntries(changed.map(field => [field, user[field]])),
+                notice: {
+                    title: 'Account details changed',
+                    message: `Your account details have been changed by the platform owner: ${changed.map(field => CLIENT_PROFILE_FIELDS[field].toLowerCase()).join(', ')}.`
+                }
+            };
+        });
+
+        const client = user.toObject();
+        delete client.password;
+        res.json({ message: 'Client details saved', client });
+    } catch (error) {
+        sendError(res, error, 'Server error saving client details');
+    }
+});
+
+// Closes an account for good: the client and their books are deleted. Invoices stay, as
+// the platform's record of what was paid, and so does the audit log. The owner confirms
+// by typing the client's username; the client is told by email.
+app.delete('/api/owner/clients/:clientId', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const reason = requireReason(req.body);
+        const user = await withTransaction(async (session) => {
+            const user = await findClient(req.params.clientId, session);
+            if (req.body.confirm !== user.username) {
+                throw new ApiError(400, `Please type the client's username (${user.username}) to confirm`);
+            }
+
+            // One at a time: a transaction's operations cannot run in parallel
+            for (const model of [Transaction, Customer, ExchangeRate, IdempotencyKey]) {
+                await model.deleteMany({ business: user._id }, { session });
+            }
+            // Closed till sessions refuse every delete made through the model; closing the
+            // whole account is the one exception, so it goes to the collection directly
+            await TillSession.collection.deleteMany({ business: user._id }, { session });
+            await PaymentClaim.deleteMany({ client: user._id }, { session });
+            await Notification.deleteMany({ client: user._id }, { session });
+            await PasswordReset.deleteMany({ email: user.email }, { session });
+            await User.deleteOne({ _id: user._id }, { session });
+
+            await recordAudit(req, {
+                business: user._id,
+                action: 'client.delete',
+                target: describeClientTarget(user),
+                before: {
+                    username: user.username,
+                    email: user.email,
+                    accountStatus: user.accountStatus,
+                    subscriptionEnd: user.subscriptionEnd
+                },
+                after: { reason }
+            }, session);
+            return user;
+        });
+
+        emailNotice(user.email, {
+            title: 'Account closed',
+            message: 'Your CashBook Pro account has been closed and its data deleted by the platform owner.',
+            reason
+        });
+        res.json({ message: `${user.businessName || user.fullName}'s account has been deleted` });
+    } catch (error) {
+        sendError(res, error, 'Server error deleting client');
+    }
+});
+
+// Support view
+// The owner opens a client's books through a short-lived token that acts as the client
+// but only for reads. Every opening is audited and the client is told about it.
+const SUPPORT_VIEW_EXPIRY = '1h';
+
+app.post('/api/owner/clients/:clientId/support-view', authenticateToken, requireOwner, async (req, res) => {
+    try {
+        const reason = requireReason(req.body);
+        const notice = {
+            title: 'Support viewed your account',
+            message: `The platform owner (${req.user.username}) opened your books in read-only mode on ${new Date().toUTCString()}. Nothing was changed.`,
+            reason
+        };
+        const settings = await getPlatformSettings();
+        const { user, subscription } = await withTransaction(async (session) => {
+            const user = await findClient(req.params.clientId, session);
+            const subscription = describeSubscription(user, settings);
+            await recordAudit(req, {
+                business: user._id,
+                action: 'support.view',
+                target: describeClientTarget(user),
+                after: { reason, expiresIn: SUPPORT_VIEW_EXPIRY }
+            }, session);
+            await notifyClient(user, notice, session);
+            return { user, subscription };
+        });
+
+        const token = jwt.sign(
+            {
+                userId: user._id,
+                username: user.username,
+                role: user.role,
+                supportView: true,
+                viewer: { userId: req.user.userId, username: req.user.username }
+            },
+            JWT_SECRET,
+            { expiresIn: SUPPORT_VIEW_EXPIRY }
+        );
+        const client = user.toObject();
+        delete client.password;
+        res.json({ token, user: { ...client, subscription }, message: `Viewing ${user.businessName || user.fullName} read-only` });
+    } catch (error) {
+        sendError(res, error, 'Server error opening support view');
+    }
+});
+
+// Ledger Engine
+// All balance changes are computed here on the server. Each entry type checks the
+// request against the current book and returns the balance effects it applies;
+// the effects are stored on the transaction so the change can be traced later.
+const LEDGER_ENTRY_TYPES = {
+    'new-person': 'New Person',
+    pr: 'Old Person (PR)',
+    full: 'Old Person (Full)',
+    debt: 'Old Person (Debt)',
+    in: 'General Entry (IN)',
+    out: 'General Entry (OUT)',
+    adjustment: 'General Entry (Adjustment)',
+    exchange: 'Exchange',
+    capital: 'Capital Contribution'
+};
+
+const REVERSAL_ENTRY_TYPE = 'Reversal';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const parseAmount = (value) => {
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw new ApiError(400, 'Please enter valid amount');
+    }
+    return roundMoney(amount);
+};
+
+const parseRate = (value, label) => {
+    const rate = Number(value);
+    if (!Number.isFinite(rate) || rate <= 0) {
+        throw new ApiError(400, `Please enter a valid ${label}`);
+    }
+    return rate;
+};
+
+const parseCashType = (value) => {
+    if (!value) {
+        throw new ApiError(400, 'Please select cash type');
+    }
+    if (!SUPPORTED_CURRENCIES.includes(value)) {
+        throw new ApiError(400, `Unsupported cash type: ${value}`);
+    }
+    return value;
+};
+
+// Partners' balances are keyed by owner name and customers' by customer ID. `customers`
+// is the directory of customer profiles the request refers to: ID → { id, name, isNew }.
+const createLedgerBook = (data, customers = new Map()) => ({
+    primaryOwner: data.owners[0],
+    isOwner: (name) => data.owners.includes(name),
+    findCustomer: (id) => customers.get(String(id)),
+    balanceOf(party, currency) {
+        const balances = party.type === 'owner' ? data.partnerBalances.get(party.name) : data.customers.get(party.id);
+        return (balances && balances.get(currency)) || 0;
+    },
+    apply(effects) {
+        effects.forEach(effect => {
+            const accounts = effect.partyType === 'owner' ? data.partnerBalances : data.customers;
+            const key = effect.partyType === 'owner' ? effect.name : effect.customerId;
+            if (!accounts.has(key)) {
+                accounts.set(key, new Map());
+            }
+            const balances = accounts.get(key);
+            const next = roundMoney((balances.get(effect.currency) || 0) + effect.amount);
+            if (next === 0) {
+                balances.delete(effect.currency);
+            } else {
+                balances.set(effect.currency, next);
+            }
+        });
+    }
+});
+
+// Checks a payer/receiver from the request. Owners are named, customers are referred
+// to by ID. customerMustExist is true for Old Person entries and false for New Person
+// entries, whose customers are created for the entry and marked as new.
+const parseParty = (book, input, label, customerMustExist) => {
+    const type = input && input.type;
+
+    if (type !== 'owner' && type !== 'customer') {
+        throw new ApiError(400, `Please select who is the ${label}`);
+    }
+    if (type === 'owner') {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name) {
+            throw new ApiError(400, `Please select the ${label} owner`);
+        }
+        if (!book.isOwner(name)) {
+            throw new ApiError(400, `Owner ${name} does not exist`);
+        }
+        return { type, name };
+    }
+
+    const customer = book.findCustomer(input.id);
+    if (!customer) {
+        throw new ApiError(400, customerMustExist
+            ? `${label} customer does not exist. Use New Person tab instead.`
+            : `Please enter the ${label} name`);
+    }
+    if (!customerMustExist && !customer.isNew) {
+        throw new ApiError(400, `${label} customer already exists. Use Old Person tab instead.`);
+    }
+    return { type, name: customer.name, id: customer.id };
+};
+
+const isSameParty = (a, b) => a.type === b.type && (a.type === 'owner' ? a.name === b.name : a.id === b.id);
+
+const buildEffect = (party, currency, amount) => ({
+    partyType: party.type,
+    name: party.name,
+    ...(party.type === 'customer' && { customerId: party.id }),
+    currency,
+    amount
+});
+
+// The partner an entry is booked against; the first owner unless the request names one
+const parseOwner = (book, name) => {
+    if (!name) {
+        return book.primaryOwner;
+    }
+    if (!book.isOwner(name)) {
+        throw new ApiError(400, `Owner ${name} does not exist`);
+    }
+    return name;
+};
+
+const describeDebtor = (party) => party.type === 'owner' ? 'Owner does' : 'This customer does';
+
+const rejectOutstandingDebt = (book, payer, currency) => {
+    if (book.balanceOf(payer, currency) < 0) {
+        throw new ApiError(400, 'You already have outstanding debt. Please clear your debt before lending to others.');
+    }
+};
+
+// Payer → receiver transfers (New Person, PR, Full, Debt). A transfer takes the amount
+// from the payer and gives it to the receiver, except PR and Full, which settle the
+// payer's outstanding debt and therefore move the payer's balance back toward zero.
+const buildTransferEntry = (kind, body, book) => {
+    const isNewPerson = kind === 'new-person';
+    const payer = parseParty(book, body.payer, 'Payer', !isNewPerson);
+    const receiver = parseParty(book, body.receiver, 'Receiver', !isNewPerson);
+    const amount = parseAmount(body.amount);
+    const cashType = parseCashType(body.cashType);
+
+    if (isSameParty(payer, receiver)) {
+        throw new ApiError(400, 'Payer and Payee cannot be the same person');
+    }
+    if (isNewPerson && payer.type === 'owner' && receiver.type === 'owner') {
+        throw new ApiError(400, 'A New Person transaction must include a new customer');
+    }
+
+    let payerDelta = -amount;
+
+    if (kind === 'new-person' || kind === 'debt') {
+        rejectOutstandingDebt(book, payer, cashType);
+    } else {
+        const balance = book.balanceOf(payer, cashType);
+        if (balance >= 0) {
+            const paymentName = kind === 'pr' ? 'partial' : 'full';
+            throw new ApiError(400, `${describeDebtor(payer)} not have any ${cashType} debt to make a ${paymentName} payment.`);
+        }
+        const debtAmount = roundMoney(Math.abs(balance));
+        if (kind === 'pr' && amount >= debtAmount) {
+            throw new ApiError(400, 'Amount must be less than the total debt for a partial payment. Use Full Payment for exact amount.');
+        }
+        if (kind === 'full' && amount !== debtAmount) {
+            throw new ApiError(400, `Amount must be exactly ${debtAmount.toFixed(2)} ${cashType} for a full payment.`);
+        }
+        payerDelta = amount;
+    }
+
+    return {
+        payer: payer.name,
+        receiver: receiver.name,
+        payerType: payer.type,
+        receiverType: receiver.type,
+        payerCustomer: payer.id,
+        receiverCustomer: receiver.id,
+        amount,
+        cashType,
+        effects: [
+            buildEffect(payer, cashType, payerDelta),
+            buildEffect(receiver, cashType, amount)
+        ]
+    };
+};
+
+// General entries move money between a partner and the outside world ("System").
+// An adjustment of a customer is booked against the partner.
+const buildGeneralEntry = (kind, body, book) => {
+    const amount = parseAmount(body.amount);
+    const cashType = body.cashType ? parseCashType(body.cashType) : 'USD';
+    const owner = parseOwner(book, body.owner);
+
+    if (!body.description || !body.description.trim()) {
+        throw new ApiError(400, 'Please enter description');
+    }
+
+    if (kind === 'in' || kind === 'out') {
+        const delta = kind === 'in' ? amount : -amount;
+        return {
+            payer: 'System',
+            receiver: 'System',
+            payerType: 'system',
+            receiverType: 'system',
+            amount,
+            cashType,
+            effects: [{ partyType: 'owner', name: owner, currency: cashType, amount: delta }]
+        };
+    }
+
+    const input = body.person || {};
+    if (input.type !== 'owner' && input.type !== 'customer') {
+        throw new ApiError(400, 'Please select who is being adjusted (Owner or Customer)');
+    }
+    if (!input.name && !input.id) {
+        throw new ApiError(400, `Please select a ${input.type}`);
+    }
+    if (input.type === 'owner' && !book.isOwner(input.name)) {
+        throw new ApiError(400, `Owner ${input.name} does not exist`);
+    }
+    const customer = input.type === 'customer' && book.findCustomer(input.id);
+    if (input.type === 'customer' && !customer) {
+        throw new ApiError(400, 'Customer does not exist');
+    }
+    const person = customer ? { type: 'customer', name: customer.name, id: customer.id } : { type: 'owner', name: input.name };
+    if (body.direction !== '+' && body.direction !== '-') {
+        throw new ApiError(400, 'Please select adjustment direction (+ or -)');
+    }
+
+    const delta = body.direction === '+' ? amount : -amount;
+
+    if (person.type === 'owner') {
+        return {
+            payer: delta > 0 ? 'System' : person.name,
+            receiver: delta > 0 ? person.name : 'System',
+            payerType: delta > 0 ? 'system' : 'owner',
+            receiverType: delta > 0 ? 'owner' : 'system',
+            amount,
+            cashType,
+            effects: [{ partyType: 'owner', name: person.name, currency: cashType, amount: delta }]
+        };
+    }
+
+    return {
+        payer: delta > 0 ? owner : person.name,
+        receiver: delta > 0 ? person.name : owner,
+        payerType: delta > 0 ? 'owner' : 'customer',
+        receiverType: delta > 0 ? 'customer' : 'owner',
+        payerCustomer: delta > 0 ? undefined : person.id,
+        receiverCustomer: delta > 0 ? person.id : undefined,
+        amount,
+        cashType,
+        effects: [
+            buildEffect(person, cashType, delta),
+            { partyType: 'owner', name: owner, currency: cashType, amount: -delta }
+        ]
+    };
+};
+
+// A currency exchange: the customer hands over amountIn of currencyIn and receives
+// amountIn × rate of currencyOut. The margin is what the shop earns compared with
+// paying out at the reference mid-rate; an optional fee is charged on top. The
+// exchange settles on the spot, so only the partner's holdings change.
+const buildExchangeEntry = (body, book) => {
+    const currencyIn = parseCashType(body.currencyIn);
+    const currencyOut = parseCashType(body.currencyOut);
+    const amountIn = parseAmount(body.amountIn);
+    const rate = parseRate(body.rate, 'exchange rate');
+    const midRate = parseRate(body.midRate, 'mid-rate');
+    // A registered customer is referred to by ID; anyone else is a walk-in, optionally named
+    const customer = body.customerId ? book.findCustomer(body.customerId) : null;
+    if (body.customerId && !customer) {
+        throw new ApiError(400, 'Customer does not exist');
+    }
+    const walkInName = typeof body.customer === 'string' && body.customer.trim()
+        ? body.customer.trim()
+        : 'Walk-in Customer';
+    const owner = parseOwner(book, body.owner);
+
+    if (currencyIn === currencyOut) {
+        throw new ApiError(400, 'Currency in and currency out must be different');
+    }
+
+    const amountOut = roundMoney(amountIn * rate);
+    if (amountOut <= 0) {
+        throw new ApiError(400, 'Exchange amount is too small');
+    }
+    const margin = roundMoney(amountIn * midRate - amountOut);
+    const fee = body.fee ? parseAmount(body.fee) : 0;
+    const feeCurrency = fee ? parseCashType(body.feeCurrency || currencyIn) : undefined;
+    const effects = [
+        { partyType: 'owner', name: owner, currency: currencyIn, amount: amountIn },
+        { partyType: 'owner', name: owner, currency: currencyOut, amount: -amountOut }
+    ];
+
+    if (fee) {
+        effects.push({ partyType: 'owner', name: owner, currency: feeCurrency, amount: fee });
+    }
+
+    return {
+        payer: customer ? customer.name : walkInName,
+        receiver: owner,
+        payerType: customer ? 'customer' : 'walk-in',
+        receiverType: 'owner',
+        payerCustomer: customer ? customer.id : undefined,
+        amount: amountIn,
+        cashType: currencyIn,
+        exchange: {
+            currencyIn, amountIn, currencyOut, amountOut, rate, midRate, margin, marginCurrency: currencyOut, fee, feeCurrency
+        },
+        effects
+    };
+};
+
+// Money a partner puts into the business. It is added to the partner's balance and
+// counted toward their capital.
+const buildCapitalEntry = (body, book) => {
+    if (!body.owner) {
+        throw new ApiError(400, 'Please select the partner contributing capital');
+    }
+    const owner = parseOwner(book, body.owner);
+    const amount = parseAmount(body.amount);
+    const cashType = parseCashType(body.cashType);
+
+    return {
+        payer: owner,
+        receiver: 'Capital',
+        payerType: 'owner',
+        receiverType: 'system',
+        amount,
+        cashType,
+        effects: [{ partyType: 'owner', name: owner, currency: cashType, amount }]
+    };
+};
+
+// The parts of an entry that follow from the request: parties, amounts and effects
+const buildEntryFields = (kind, body, book) => {
+    let entry;
+    if (kind === 'exchange') {
+        entry = buildExchangeEntry(body, book);
+    } else if (kind === 'capital') {
+        entry = buildCapitalEntry(body, book);
+    } else if (['in', 'out', 'adjustment'].includes(kind)) {
+        entry = buildGeneralEntry(kind, body, book);
+    } else {
+        entry = buildTransferEntry(kind, body, book);
+    }
+
+    return {
+        description: typeof body.description === 'string' ? body.description.trim() : '',
+        ...entry
+    };
+};
+
+const generateTransactionId = () => `tx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const buildLedgerEntry = (kind, body, book) => ({
+    id: generateTransactionId(),
+    date: new Date().toISOString(),
+    type: LEDGER_ENTRY_TYPES[kind],
+    kind,
+    ...buildEntryFields(kind, body, book)
+});
+
+// Edits
+// An edit goes through the same rules as a new entry. The original effects are
+// reversed first, so the debt rules are checked against the book without it, then
+// the entry is rebuilt from its stored parties with the edited fields applied.
+const reverseEffects = (effects) => effects.map(effect => ({ ...effect, amount: -effect.amount }));
+
+// The request that would produce `original` with the edited amount, cash type and description
+const buildEditRequest = (original, changes) => {
+    const amount = changes.amount !== undefined ? changes.amount : original.amount;
+    const cashType = changes.cashType !== undefined ? changes.cashType : original.cashType;
+    const description = changes.description !== undefined ? changes.description : original.description;
+    // Entries other than transfers are booked against a partner, which the edit keeps
+    const owner = original.effects.filter(effect => effect.partyType === 'owner').map(effect => effect.name).pop();
+
+    if (original.kind === 'exchange') {
+        const { currencyOut, rate, midRate, fee, feeCurrency } = original.exchange;
+        return {
+            customer: original.payer, customerId: original.payerCustomer, owner, currencyIn: cashType, amountIn: amount, currencyOut, rate, midRate, fee, feeCurrency, description
+        };
+    }
+    if (original.kind === 'adjustment') {
+        const [adjusted] = original.effects;
+        return {
+            person: { type: adjusted.partyType, name: adjusted.name, id: adjusted.customerId },
+            owner,
+            direction: adjusted.amount > 0 ? '+' : '-',
+            amount,
+            cashType,
+            description
+        };
+    }
+    if (['in', 'out', 'capital'].includes(original.kind)) {
+        return { owner, amount, cashType, description };
+    }
+    return {
+        payer: { type: original.payerType, name: original.payer, id: original.payerCustomer },
+        receiver: { type: original.receiverType, name: original.receiver, id: original.receiverCustomer },
+        amount,
+        cashType,
+        description
+    };
+};
+
+const snapshotEntry = (entry) => ({
+    payer: entry.payer,
+    receiver: entry.receiver,
+    amount: entry.amount,
+    cashType: entry.cashType,
+    description: entry.description,
+    exchange: entry.exchange,
+    effects: entry.effects
+});
+
+const editLedgerEntry = (original, changes, book) => {
+    if (original.status === 'voided') {
+        throw new ApiError(400, 'Voided transactions cannot be edited');
+    }
+    if (original.reversalOf) {
+        throw new ApiError(400, 'Reversal entries cannot be edited');
+    }
+    if (!LEDGER_ENTRY_TYPES[original.kind] || !original.effects.length) {
+        throw new ApiError(400, 'This transaction was recorded before balances were kept on the server and cannot be edited');
+    }
+
+    book.apply(reverseEffects(original.effects));
+    const fields = buildEntryFields(original.kind, buildEditRequest(original, changes), book);
+    book.apply(fields.effects);
+    return fields;
+};
+
+// PR and Full entries were checked against the debt as it stood when they were recorded.
+// Editing an earlier entry for the same payer and currency would change that debt under
+// them, so the edit is refused while such a payment stands.
+const findLaterSettlement = (businessId, original, fields, session) => Transaction.findOne({
+    business: businessId,
+    kind: { $in: ['pr', 'full'] },
+    status: { $ne: 'voided' },
+    date: { $gt: original.date },
+    $or: [...original.effects, ...fields.effects].map(effect => ({
+        cashType: effect.currency,
+        ...(effect.partyType === 'customer'
+            ? { payerCustomer: effect.customerId }
+            : { payerType: effect.partyType, payer: effect.name })
+    }))
+}).session(session);
+
+// Voids
+// The reversing entry undoes the original's balance effects and P&L lines on the day
+// it is voided; the original keeps its own date, effects and P&L.
+const voidLedgerEntry = (original, reason, book) => {
+    if (original.status === 'voided') {
+        throw new ApiError(400, 'This transaction has already been voided');
+    }
+    if (original.reversalOf) {
+        throw new ApiError(400, 'Reversal entries cannot be voided');
+    }
+    if (!original.effects.length) {
+        throw new ApiError(400, 'This transaction was recorded before balances were kept on the server and cannot be voided');
+    }
+
+    const effects = reverseEffects(original.effects);
+    book.apply(effects);
+
+    return {
+        id: generateTransactionId(),
+        date: new Date().toISOString(),
+        type: REVERSAL_ENTRY_TYPE,
+        kind: 'reversal',
+        payer: original.receiver,
+        receiver: original.payer,
+        payerType: original.receiverType,
+        receiverType: original.payerType,
+        payerCustomer: original.receiverCustomer,
+        receiverCustomer: original.payerCustomer,
+        amount: original.amount,
+        cashType: original.cashType,
+        description: `Void of ${original.type}: ${reason}`,
+        reversalOf: original.id,
+        effects,
+        pnl: original.pnl.map(line => ({
+            ...line,
+            amount: -line.amount,
+            usdAmount: typeof line.usdAmount === 'number' ? -line.usdAmount : null
+        }))
+    };
+};
+
+// Exchange Rates
+// The latest rate per currency pair with an effective time at or before `at`
+const findRatesAt = (businessId, at = new Date()) => ExchangeRate.aggregate([
+    { $match: { business: new mongoose.Types.ObjectId(businessId), effectiveAt: { $lte: at } } },
+    { $sort: { effectiveAt: -1 } },
+    { $group: { _id: { base: '$base', quote: '$quote' }, rate: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$rate' } },
+    { $sort: { base: 1, quote: 1 } }
+]);
+
+// Rate for a customer who hands over `from` and receives `to`, in units of `to` per
+// 1 unit of `from`. The shop buys the base currency at `buy` and sells it at `sell`.
+const findPairRate = (rates, from, to) => {
+    if (from === to) {
+        return { rate: 1, midRate: 1 };
+    }
+    const direct = rates.find(r => r.base === from && r.quote === to);
+    if (direct) {
+        return { rate: direct.buy, midRate: (direct.buy + direct.sell) / 2 };
+    }
+    const inverse = rates.find(r => r.base === to && r.quote === from);
+    if (inverse) {
+        return { rate: 1 / inverse.sell, midRate: 2 / (inverse.buy + inverse.sell) };
+    }
+    return null;
+};
+
+const resolveRate = (rates, from, to) => {
+    const pair = findPairRate(rates, from, to);
+    if (pair || from === REPORTING_CURRENCY || to === REPORTING_CURRENCY) {
+        return pair;
+    }
+    const toReporting = findPairRate(rates, from, REPORTING_CURRENCY);
+    const fromReporting = findPairRate(rates, REPORTING_CURRENCY, to);
+    if (!toReporting || !fromReporting) {
+        return null;
+    }
+    return {
+        rate: toReporting.rate * fromReporting.rate,
+        midRate: toReporting.midRate * fromReporting.midRate
+    };
+};
+
+// Profit & Loss
+const isExpenseEntry = (transaction) => transaction.kind === 'out' || transaction.type === LEDGER_ENTRY_TYPES.out;
+
+// P&L lines of a transaction, converted to USD with the given rates
+const buildProfitLines = (transaction, rates) => {
+    const lines = [];
+    const exchange = transaction.exchange;
+
+    if (exchange && exchange.currencyOut) {
+        lines.push({ category: 'margin', currency: exchange.marginCurrency, amount: exchange.margin });
+        if (exchange.fee) {
+            lines.push({ category: 'fee', currency: exchange.feeCurrency, amount: exchange.fee });
+        }
+    }
+    if (isExpenseEntry(transaction)) {
+        lines.push({ category: 'expense', currency: transaction.cashType, amount: -transaction.amount });
+    }
+
+    return lines.map(line => {
+        const rate = resolveRate(rates, line.currency, REPORTING_CURRENCY);
+        return {
+            ...line,
+            usdRate: rate ? rate.midRate : null,
+            usdAmount: rate ? roundMoney(line.amount * rate.midRate) : null
+        };
+    });
+};
+
+const PROFIT_PERIOD_FORMATS = { day: '%Y-%m-%d', month: '%Y-%m' };
+
+const summarizeProfit = (rows) => {
+    const totals = { margin: 0, fee: 0, expense: 0 };
+    rows.forEach(row => {
+        totals[row._id.category] = roundMoney(totals[row._id.category] + row.usd);
+    });
+    return {
+        margin: totals.margin,
+        fees: totals.fee,
+        income: roundMoney(totals.margin + totals.fee),
+        expenses: roundMoney(-totals.expense),
+        net: roundMoney(totals.margin + totals.fee + totals.expense)
+    };
+};
+
+// Balance Integrity
+// Stored balances are a running total of the effects on each transaction, so they can
+// be rebuilt by replaying the log in date order. A voided entry cancels against its
+// reversal. Transactions recorded before the ledger engine carry no effects and
+// cannot be replayed.
+const replayBalances = (owners, transactions) => {
+    const data = { owners, customers: new Map(), partnerBalances: new Map() };
+    const book = createLedgerBook(data);
+    transactions.forEach(transaction => book.apply(transaction.effects));
+    return data;
+};
+
+// customerNames maps customer IDs to names for the report
+const findBalanceDiscrepancies = (stored, rebuilt, customerNames = new Map()) => {
+    const discrepancies = [];
+    const compare = (party, storedBalances = new Map(), rebuiltBalances = new Map()) => {
+        new Set([...storedBalances.keys(), ...rebuiltBalances.keys()]).forEach(currency => {
+            const storedAmount = storedBalances.get(currency) || 0;
+            const expected = rebuiltBalances.get(currency) || 0;
+            const difference = roundMoney(storedAmount - expected);
+            if (difference !== 0) {
+                discrepancies.push({ ...party, currency, stored: storedAmount, expected, difference });
+            }
+        });
+    };
+
+    [['owner', stored.partnerBalances, rebuilt.partnerBalances], ['customer', stored.customers, rebuilt.customers]]
+        .forEach(([partyType, storedAccounts = new Map(), rebuiltAccounts]) => {
+            new Set([...storedAccounts.keys(), ...rebuiltAccounts.keys()]).forEach(key => {
+                const party = partyType === 'owner'
+                    ? { partyType, name: key }
+                    : { partyType, customerId: key, name: customerNames.get(key) || key };
+                compare(party, storedAccounts.get(key), rebuiltAccounts.get(key));
+            });
+        });
+    return discrepancies;
+};
+
+const checkBalanceIntegrity = async (user, session = null) => {
+    const transactions = await Transaction.find({ business: user._id })
+        .sort({ date: 1, createdAt: 1 })
+        .select('effects')
+        .session(session);
+    const customers = await Customer.find({ business: user._id }).select('name').session(session);
+    const data = user.moneyExchangerData;
+    const rebuilt = replayBalances(data.owners, transactions);
+    const discrepancies = findBalanceDiscrepancies(data, rebuilt, new Map(customers.map(c => [c._id.toString(), c.name])));
+
+    return {
+        rebuilt,
+        report: {
+            checkedAt: new Date(),
+            transactions: transactions.length,
+            unreplayable: transactions.filter(t => !t.effects.length).length,
+            balanced: discrepancies.length === 0,
+            discrepancies
+        }
+    };
+};
+
+// Replaces the stored balances with the rebuilt ones. Customers without any replayable
+// transactions are kept (with no balance) so they can still be picked in the forms.
+const applyRebuiltBalances = (data, rebuilt) => {
+    (data.customers || new Map()).forEach((balances, id) => {
+        if (!rebuilt.customers.has(id)) {
+            rebuilt.customers.set(id, new Map());
+        }
+    });
+    data.customers = rebuilt.customers;
+    data.partnerBalances = rebuilt.partnerBalances;
+};
+
+// Book versions travel as ETags ("v12") in the ETag and If-Match headers
+const bookEtag = (version) => `"v${version}"`;
+
+const parseBookVersion = (req) => {
+    const match = /^(?:W\/)?"?v?(\d+)"?$/.exec((req.get('If-Match') || '').trim());
+    if (!match) {
+        throw new ApiError(428, 'This change must include the version of the books it was based on. Please reload and try again.');
+    }
+    return Number(match[1]);
+};
+
+// Runs a read-modify-write of a user's book inside a MongoDB transaction so the
+// validation and the balance update see the same data, even with concurrent requests.
+// The write is rejected with 409 when the book has moved past expectedVersion; the
+// response carries the current balances and version so the client can catch up.
+const runLedgerWrite = async (userId, expectedVersion, work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            const user = await User.findById(userId).session(session);
+            if (!user) {
+                throw new ApiError(404, 'User not found');
+            }
+            const data = user.moneyExchangerData;
+            if (data.version !== expectedVersion) {
+                throw new ApiError(409, 'The books were changed on another device, so your change was not saved. The latest data has been loaded; please check it and try again.', {
+                    code: 'version_conflict',
+                    owners: data.owners,
+                    ...serializeBalances(data)
+                });
+            }
+            data.version += 1;
+            result = await work(user, session);
+            await user.save({ session });
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+// Converts (nested) Maps into plain objects for JSON responses
+const mapToObject = (map) => Object.fromEntries(
+    [...(map || new Map())].map(([key, value]) => [key, value instanceof Map ? mapToObject(value) : value])
+);
+
+const serializeBalances = (data) => ({
+    customers: mapToObject(data.customers),
+    partnerBalances: mapToObject(data.partnerBalances),
+    version: data.version
+});
+
+// Money Exchanger System Routes
+app.get('/api/money-exchanger/data', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.set('ETag', bookEtag(user.moneyExchangerData.version));
+        res.json({
+            owners: user.moneyExchangerData.owners,
+            currencies: SUPPORTED_CURRENCIES,
+            ...serializeBalances(user.moneyExchangerData)
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error fetching Money Exchanger data' });
+    }
+});
+
+app.post('/api/money-exchanger/owners', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const { name } = req.body;
+        
+        if (!name) {
+            return res.status(400).json({ message: 'Owner name is required' });
+        }
+        
+        const result = await runLedgerWrite(req.user.userId, parseBookVersion(req), async (user, session) => {
+            if (!user.moneyExchangerData.owners.includes(name)) {
+                await enforcePlanLimit(user._id, 'maxPartners', () => user.moneyExchangerData.owners.length, session);
+                user.moneyExchangerData.owners.push(name);
+                await recordAudit(req, {
+                    business: user._id,
+                    action: 'owner.add',
+                    target: { kind: 'owner', name },
+                    after: { owners: user.moneyExchangerData.owners }
+                }, session);
+            }
+            return { owners: user.moneyExchangerData.owners, version: user.moneyExchangerData.version };
+        });
+        
+        console.log('Adding owner:', name, 'for user:', req.user.userId);
+        res.json({ message: 'Owner added successfully', ...result });
+    } catch (error) {
+        sendError(res, error, 'Server error adding owner');
+    }
+});
+
+// Partner Routes
+// Without configured shares the profit is split equally between the partners
+const resolveProfitShares = (data) => {
+    const configured = data.owners.some(name => data.profitShares.get(name));
+    if (configured) {
+        return { configured, shares: new Map(data.owners.map(name => [name, data.profitShares.get(name) || 0])) };
+    }
+
+    // An equal split; the rounding remainder goes to the last partner so the shares add up to 100
+    const equalShare = roundMoney(100 / data.owners.length);
+    const shares = new Map(data.owners.map((name, index) => [
+        name,
+        index === data.owners.length - 1 ? roundMoney(100 - equalShare * index) : equalShare
+    ]));
+    return { configured, shares };
+};
+
+// Each partner's balances, profit share and the capital they have contributed per currency
+app.get('/api/money-exchanger/partners', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const data = user.moneyExchangerData;
+        const capital = await Transaction.aggregate([
+            { $match: { business: user._id, kind: 'capital', status: { $ne: 'voided' } } },
+            { $group: { _id: { owner: '$payer', currency: '$cashType' }, amount: { $sum: '$amount' } } }
+        ]);
+        const { configured, shares } = resolveProfitShares(data);
+
+        res.json({
+            sharesConfigured: configured,
+            partners: data.owners.map(name => ({
+                name,
+                profitShare: shares.get(name),
+                balances: mapToObject(data.partnerBalances.get(name)),
+                capital: Object.fromEntries(
+                    capital.filter(row => row._id.owner === name).map(row => [row._id.currency, roundMoney(row.amount)])
+                )
+            }))
+        });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching partners');
+    }
+});
+
+// Profit shares are percentages and must add up to 100
+app.put('/api/money-exchanger/partners/shares', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const result = await runLedgerWrite(req.user.userId, parseBookVersion(req), async (user, session) => {
+            const data = user.moneyExchangerData;
+            const entries = Object.entries(req.body.shares || {});
+
+            entries.forEach(([name, percent]) => {
+                if (!data.owners.includes(name)) {
+                    throw new ApiError(400, `Owner ${name} does not exist`);
+                }
+                if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+                    throw new ApiError(400, `Profit share for ${name} must be between 0 and 100`);
+                }
+            });
+            const total = roundMoney(entries.reduce((sum, [, percent]) => sum + percent, 0));
+            if (total !== 100) {
+                throw new ApiError(400, `Profit shares must add up to 100% (currently ${total}%)`);
+            }
+
+            const before = mapToObject(data.profitShares);
+            data.profitShares = new Map(entries.filter(([, percent]) => percent > 0));
+            await recordAudit(req, {
+                business: user._id,
+                action: 'partner.profit_shares',
+                target: { kind: 'book', id: user._id.toString(), name: user.businessName || user.fullName },
+                before,
+                after: mapToObject(data.profitShares)
+            }, session);
+            return { profitShares: mapToObject(data.profitShares), version: data.version };
+        });
+
+        res.json({ message: 'Profit shares updated successfully', ...result });
+    } catch (error) {
+        sendError(res, error, 'Server error updating profit shares');
+    }
+});
+
+// What each partner is owed from the net profit (in USD) of a period
+app.get('/api/money-exchanger/partners/distribution', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const result = await aggregateProfit(user._id, req.query, 'total');
+        const profit = summarizeProfit(result.converted);
+        const { configured, shares } = resolveProfitShares(user.moneyExchangerData);
+
+        res.json({
+            currency: REPORTING_CURRENCY,
+            from: req.query.from,
+            to: req.query.to,
+            profit,
+            sharesConfigured: configured,
+            distribution: [...shares].map(([name, profitShare]) => ({
+                name,
+                profitShare,
+                amount: roundMoney(profit.net * profitShare / 100)
+            })),
+            unconverted: serializeUnconverted(result.unconverted)
+        });
+    } catch (error) {
+        sendError(res, error, 'Server error calculating profit distribution');
+    }
+});
+
+// Customer Routes
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Phones and tags arrive as an array or a comma-separated string
+const parseList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+const parseCustomerProfile = (body) => {
+    const profile = {};
+    if (body.phones !== undefined) profile.phones = parseList(body.phones);
+    if (body.tags !== undefined) profile.tags = parseList(body.tags);
+    ['idNumber', 'address', 'notes'].forEach(field => {
+        if (body[field] !== undefined) profile[field] = String(body[field] || '').trim();
+    });
+    return profile;
+};
+
+const serializeCustomer = (customer, data) => ({
+    id: customer._id.toString(),
+    name: customer.name,
+    phones: customer.phones,
+    idNumber: customer.idNumber,
+    address: customer.address,
+    tags: customer.tags,
+    notes: customer.notes,
+    balances: mapToObject(data.customers && data.customers.get(customer._id.toString())),
+    createdAt: customer.createdAt
+});
+
+const describeCustomerTarget = (customer) => ({ kind: 'customer', id: customer._id.toString(), name: customer.name });
+
+const exactName = (name) => new RegExp(`^${escapeRegExp(name)}$`, 'i');
+
+// A new customer may share a name with an existing one only if their phone numbers
+// tell them apart; otherwise it is most likely the same person entered twice
+const rejectDuplicateCustomer = async (businessId, name, phones, session = null) => {
+    if (phones.length > 0) {
+        const samePhone = await Customer.findOne({ business: businessId, phones: { $in: phones } }).session(session);
+        if (samePhone) {
+            throw new ApiError(400, `${samePhone.name} already uses this phone number. Use Old Person tab instead.`);
+        }
+        return;
+    }
+    const sameName = await Customer.findOne({ business: businessId, name: exactName(name) }).session(session);
+    if (sameName) {
+        throw new ApiError(400, `A customer named ${sameName.name} already exists. Use Old Person tab, or enter a phone number to register a different person.`);
+    }
+};
+
+const createCustomer = async (businessId, fields, session = null) => {
+    const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+    if (!name) {
+        throw new ApiError(400, 'Customer name is required');
+    }
+    const profile = parseCustomerProfile(fields);
+    await rejectDuplicateCustomer(businessId, name, profile.phones || [], session);
+    await enforcePlanLimit(businessId, 'maxCustomers', () => Customer.countDocuments({ business: businessId }).session(session), session);
+    const [customer] = await Customer.create([{ ...profile, business: businessId, name }], { session });
+    return customer;
+};
+
+// The ledger book's customer directory for the customer IDs a request refers to
+const loadCustomerDirectory = async (businessId, ids, session = null) => {
+    const valid = [...new Set(ids.filter(Boolean).map(String))].filter(id => mongoose.isValidObjectId(id));
+    const customers = await Customer.find({ business: businessId, _id: { $in: valid } }).select('name').session(session);
+    return new Map(customers.map(customer => {
+        const id = customer._id.toString();
+        return [id, { id, name: customer.name, isNew: false }];
+    }));
+};
+
+// Customers a new ledger entry refers to. A New Person entry registers its new
+// customers (name and phone) first; they are rolled back with the entry if it fails.
+const prepareEntryCustomers = async (businessId, kind, body, session) => {
+    const directory = await loadCustomerDirectory(businessId, [
+        body.payer && body.payer.id,
+        body.receiver && body.receiver.id,
+        body.person && body.person.id,
+        body.customerId
+    ], session);
+
+    if (kind === 'new-person') {
+        for (const party of [body.payer, body.receiver]) {
+            if (!party || party.type !== 'customer' || party.id || !String(party.name || '').trim()) continue;
+            const customer = await createCustomer(businessId, { name: party.name, phones: party.phone || [] }, session);
+            party.id = customer._id.toString();
+            directory.set(party.id, { id: party.id, name: customer.name, isNew: true });
+        }
+    }
+    return directory;
+};
+
+// Customers an existing entry refers to; those a New Person entry introduced count as new
+const loadEntryCustomers = async (businessId, original, session) => {
+    const directory = await loadCustomerDirectory(businessId, [
+        original.payerCustomer,
+        original.receiverCustomer,
+        ...original.effects.map(effect => effect.customerId)
+    ], session);
+    if (original.kind === 'new-person') {
+        directory.forEach(customer => { customer.isNew = true; });
+    }
+    return directory;
+};
+
+// Every customer of the business with their balances; `search` matches name or phone
+app.get('/api/money-exchanger/customers', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const filter = { business: user._id };
+        const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+        if (search) {
+            const pattern = new RegExp(escapeRegExp(search), 'i');
+            filter.$or = [{ name: pattern }, { phones: pattern }];
+        }
+        const customers = await Customer.find(filter).sort({ name: 1 });
+        res.json({ customers: customers.map(customer => serializeCustomer(customer, user.moneyExchangerData)) });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching customers');
+    }
+});
+
+app.post('/api/money-exchanger/customers', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const customer = await createCustomer(req.user.userId, req.body);
+        await recordAudit(req, {
+            business: req.user.userId,
+            action: 'customer.create',
+            target: describeCustomerTarget(customer),
+            after: customer.toObject()
+        });
+        res.status(201).json({
+            message: 'Customer added successfully',
+            customer: serializeCustomer(customer, {})
+        });
+    } catch (error) {
+        sendError(res, error, 'Server error adding customer');
+    }
+});
+
+// Updates a customer's details (phones, ID number, address, tags, notes)
+app.patch('/api/money-exchanger/customers/:id', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const customer = mongoose.isValidObjectId(req.params.id)
+            && await Customer.findOne({ business: req.user.userId, _id: req.params.id });
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const before = customer.toObject();
+        customer.set(parseCustomerProfile(req.body));
+        await customer.save();
+        await recordAudit(req, {
+            business: req.user.userId,
+            action: 'customer.update',
+            target: describeCustomerTarget(customer),
+            before,
+            after: customer.toObject()
+        });
+
+        const user = await User.findById(req.user.userId);
+        res.json({
+            message: 'Customer updated successfully',
+            customer: serializeCustomer(customer, user.moneyExchangerData)
+        });
+    } catch (error) {
+        sendError(res, error, 'Server error updating customer');
+    }
+});
+
+const findBusinessCustomer = async (businessId, id, session = null) => {
+    const customer = mongoose.isValidObjectId(id)
+        && await Customer.findOne({ business: businessId, _id: id }).session(session);
+    if (!customer) {
+        throw new ApiError(404, 'Customer not found');
+    }
+    return customer;
+};
+
+// Points every transaction of `from` at customer `to` (by ID and name). With from === to
+// this just brings the names on past transactions up to date.
+const relinkCustomerTransactions = async (businessId, from, to, session) => {
+    const fromId = from._id.toString();
+    // One at a time: a transaction's operations cannot run in parallel
+    const payers = await Transaction.updateMany(
+        { business: businessId, payerCustomer: from._id },
+        { $set: { payerCustomer: to._id, payer: to.name } },
+        { session }
+    );
+    const receivers = await Transaction.updateMany(
+        { business: businessId, receiverCustomer: from._id },
+        { $set: { receiverCustomer: to._id, receiver: to.name } },
+        { session }
+    );
+    await Transaction.updateMany(
+        { business: businessId, 'effects.customerId': fromId },
+        { $set: { 'effects.$[effect].customerId': to._id.toString(), 'effects.$[effect].name': to.name } },
+        { arrayFilters: [{ 'effect.customerId': fromId }], session }
+    );
+    return payers.modifiedCount + receivers.modifiedCount;
+};
+
+// Renames a customer on their profile and on every past transaction
+app.post('/api/money-exchanger/customers/:id/rename', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name) {
+            return res.status(400).json({ message: 'Customer name is required' });
+        }
+
+        const result = await runLedgerWrite(req.user.userId, parseBookVersion(req), async (user, session) => {
+            const customer = await findBusinessCustomer(user._id, req.params.id, session);
+            const namesakes = await Customer.find({ business: user._id, _id: { $ne: customer._id }, name: exactName(name) })
+                .session(session);
+            const samePerson = namesakes.find(other => other.phones.length === 0 || customer.phones.length === 0
+                || other.phones.some(phone => customer.phones.includes(phone)));
+            if (samePerson) {
+                throw new ApiError(400, `A customer named ${samePerson.name} already exists. If they are the same person, merge them instead.`);
+            }
+
+            const before = customer.name;
+            customer.name = name;
+            await customer.save({ session });
+            const transactions = await relinkCustomerTransactions(user._id, customer, customer, session);
+            await recordAudit(req, {
+                business: user._id,
+                action: 'customer.rename',
+                target: describeCustomerTarget(customer),
+                before: { name: before },
+                after: { name, transactions }
+            }, session);
+            return { customer: serializeCustomer(customer, user.moneyExchangerData), transactions, ...serializeBalances(user.moneyExchangerData) };
+        });
+
+        res.json({ message: 'Customer renamed successfully', ...result });
+    } catch (error) {
+        sendError(res, error, 'Server error renaming customer');
+    }
+});
+
+// Merges customer :id into `into`: their balances are added together, their transactions
+// move to `into` and the merged profile's details are kept where `into` has none. The
+// merged customer is removed; the audit event keeps both profiles as they were.
+app.post('/api/money-exchanger/customers/:id/merge', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const result = await runLedgerWrite(req.user.userId, parseBookVersion(req), async (user, session) => {
+            const source = await findBusinessCustomer(user._id, req.params.id, session);
+            const target = await findBusinessCustomer(user._id, req.body.into, session);
+            if (source._id.equals(target._id)) {
+                throw new ApiError(400, 'Please select two different customers to merge');
+            }
+            // Merging would leave those transactions paid by the customer to themselves
+            const between = await Transaction.exists({
+                business: user._id,
+                $or: [
+                    { payerCustomer: source._id, receiverCustomer: target._id },
+                    { payerCustomer: target._id, receiverCustomer: source._id }
+                ]
+            }).session(session);
+            if (between) {
+                throw new ApiError(400, `${source.name} and ${target.name} have transactions with each other, so they cannot be merged into one customer.`);
+            }
+
+            const data = user.moneyExchangerData;
+            const sourceId = source._id.toString();
+            const targetId = target._id.toString();
+            const before = {
+                merged: { ...source.toObject(), balances: mapToObject(data.customers.get(sourceId)) },
+                into: { ...target.toObject(), balances: mapToObject(data.customers.get(targetId)) }
+            };
+
+            const balances = data.customers.get(targetId) || new Map();
+            (data.customers.get(sourceId) || new Map()).forEach((amount, currency) => {
+                const merged = roundMoney((balances.get(currency) || 0) + amount);
+                if (merged === 0) {
+                    balances.delete(currency);
+                } else {
+                    balances.set(currency, merged);
+                }
+            });
+            data.customers.set(targetId, balances);
+            data.customers.delete(sourceId);
+
+            target.phones = [...new Set([...target.phones, ...source.phones])];
+            target.tags = [...new Set([...target.tags, ...source.tags])];
+            target.idNumber = target.idNumber || source.idNumber;
+            target.address = target.address || source.address;
+            target.notes = [target.notes, source.notes].filter(Boolean).join('\n');
+            await target.save({ session });
+
+            const transactions = await relinkCustomerTransactions(user._id, source, target, session);
+            await Customer.deleteOne({ _id: source._id }, { session });
+            await recordAudit(req, {
+                business: user._id,
+                action: 'customer.merge',
+                target: describeCustomerTarget(target),
+                before,
+                after: {
+                    ...target.toObject(),
+                    balances: mapToObject(data.customers.get(targetId)),
+                    transactions
+                }
+            }, session);
+            return { customer: serializeCustomer(target, data), transactions, ...serializeBalances(data) };
+        });
+
+        res.json({ message: 'Customers merged successfully', ...result });
+    } catch (error) {
+        sendError(res, error, 'Server error merging customers');
+    }
+});
+
+// A customer's statement: the balance before `from`, every movement of their balance
+// in the range with the running balance per currency, and the balance at the end.
+// `transactions` are the customer's transactions up to the end of the range, in date order.
+const buildCustomerStatement = (customerId, transactions, from) => {
+    const opening = {};
+    const running = {};
+    const rows = [];
+
+    transactions.forEach(transaction => {
+        const inRange = !from || transaction.date >= from;
+        const counterparty = String(transaction.payerCustomer) === customerId ? transaction.receiver : transaction.payer;
+
+        transaction.effects.filter(effect => effect.customerId === customerId).forEach(effect => {
+            running[effect.currency] = roundMoney((running[effect.currency] || 0) + effect.amount);
+            if (!inRange) {
+                opening[effect.currency] = running[effect.currency];
+                return;
+            }
+            rows.push({
+                id: transaction.id,
+                date: transaction.date,
+                type: transaction.type,
+                counterparty,
+                description: transaction.description,
+                status: transaction.status,
+                reversalOf: transaction.reversalOf,
+                currency: effect.currency,
+                amount: effect.amount,
+                balance: running[effect.currency]
+            });
+        });
+    });
+
+    return { opening, rows, closing: { ...running } };
+};
+
+app.get('/api/money-exchanger/customers/:id/statement', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const customer = await findBusinessCustomer(user._id, req.params.id);
+        const { date: range = {} } = buildTransactionFilter(user._id, req.query);
+        const filter = { business: user._id, 'effects.customerId': customer._id.toString() };
+        if (range.$lte) {
+            filter.date = { $lte: range.$lte };
+        }
+        const transactions = await Transaction.find(filter).sort({ date: 1, createdAt: 1 });
+
+        res.json({
+            businessName: user.businessName || user.fullName,
+            generatedAt: new Date(),
+            from: range.$gte,
+            to: range.$lte,
+            customer: serializeCustomer(customer, user.moneyExchangerData),
+            ...buildCustomerStatement(customer._id.toString(), transactions, range.$gte)
+        });
+    } catch (error) {
+        sendError(res, error, 'Server error generating customer statement');
+    }
+});
+
+const describeTransactionTarget = (transaction) => ({ kind: 'transaction', id: transaction.id, name: transaction.type });
+
+// Idempotency
+const MAX_IDEMPOTENCY_KEY_LENGTH = 200;
+
+const parseIdempotencyKey = (req) => {
+    const key = (req.get('Idempotency-Key') || '').trim();
+    if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        throw new ApiError(400, 'Idempotency key is too long');
+    }
+    return key || null;
+};
+
+// Sends the stored response for a key that was already used, with the current balances
+// so the client catches up with anything that changed since. Returns false if the key is new.
+const replayIdempotentResponse = async (req, res, key) => {
+    const previous = await IdempotencyKey.findOne({
+        business: req.user.userId,
+        key,
+        createdAt: { $gte: new Date(Date.now() - IDEMPOTENCY_WINDOW_HOURS * 60 * 60 * 1000) }
+    });
+    if (!previous) {
+        return false;
+    }
+    if (previous.endpoint !== req.path) {
+        throw new ApiError(422, 'This idempotency key was already used for a different request');
+    }
+
+    const user = await User.findById(req.user.userId);
+    res.set('Idempotent-Replayed', 'true');
+    res.status(previous.status).json({ ...previous.body, ...serializeBalances(user.moneyExchangerData) });
+    return true;
+};
+
+// Stores a create's response under its key in the same MongoDB transaction as the entry
+const saveIdempotentResponse = (req, key, status, body, session) => IdempotencyKey.create([{
+    business: req.user.userId,
+    key,
+    endpoint: req.path,
+    status,
+    body: JSON.parse(JSON.stringify(body))
+}], { session });
+
+// Ledger routes: one per entry type. The server validates the entry, updates the
+// balances and returns the new balances for the client to display. A request sent
+// with an Idempotency-Key is only applied once; repeats get the original result.
+const ledgerRoute = (kind) => async (req, res) => {
+    let key = null;
+    try {
+        key = parseIdempotencyKey(req);
+        if (key && await replayIdempotentResponse(req, res, key)) {
+            return;
+        }
+
+        const result = await runLedgerWrite(req.user.userId, parseBookVersion(req), async (user, session) => {
+            const data = user.moneyExchangerData;
+            await enforcePlanLimit(user._id, 'maxTransactionsPerMonth', () => Transaction.countDocuments({
+                business: user._id,
+                date: { $gte: startOfMonth(new Date()) },
+                reversalOf: null
+            }).session(session), session);
+            const customers = await prepareEntryCustomers(user._id, kind, req.body, session);
+            const book = createLedgerBook(data, customers);
+            const entry = buildLedgerEntry(kind, req.body, book);
+            entry.pnl = buildProfitLines(entry, await findRatesAt(user._id));
+            book.apply(entry.effects);
+            const [transaction] = await Transaction.create([{ ...entry, business: user._id }], { session });
+            await recordAudit(req, {
+                business: user._id,
+                action: kind === 'adjustment' ? 'balance.adjust' : 'transaction.create',
+                target: describeTransactionTarget(transaction),
+                after: snapshotEntry(transaction.toObject())
+            }, session);
+
+            const body = {
+                message: `${transaction.type} transaction added successfully`,
+                transaction,
+                ...serializeBalances(data)
+            };
+            if (key) {
+                await saveIdempotentResponse(req, key, 201, body, session);
+            }
+            return body;
+        });
+
+        console.log('Adding transaction:', result.transaction.id, 'for user:', req.user.userId);
+        res.status(201).json(result);
+    } catch (error) {
+        // A repeat sent while the original was still being saved fails on the book
+        // version or the key itself; once the original is saved it gets its result
+        if (key && (error.status === 409 || error.code === 11000)
+            && await replayIdempotentResponse(req, res, key).catch(() => false)) {
+            return;
+        }
+        sendError(res, error, 'Server error adding transaction');
+    }
+};
+
+app.post('/api/money-exchanger/ledger/new-person', authenticateToken, requireActiveAccount, ledgerRoute('new-person'));
+app.post('/api/money-exchanger/ledger/pr', authenticateToken, requireActiveAccount, ledgerRoute('pr'));
+app.post('/api/money-exchanger/ledger/full', authenticateToken, requireActiveAccount, ledgerRoute('full'));
+app.post('/api/money-exchanger/ledger/debt', authenticateToken, requireActiveAccount, ledgerRoute('debt'));
+app.post('/api/money-exchanger/ledger/in', authenticateToken, requireActiveAccount, ledgerRoute('in'));
+app.post('/api/money-exchanger/ledger/out', authenticateToken, requireActiveAccount, ledgerRoute('out'));
+app.post('/api/money-exchanger/ledger/adjustment', authenticateToken, requireActiveAccount, ledgerRoute('adjustment'));
+app.post('/api/money-exchanger/ledger/exchange', authenticateToken, requireActiveAccount, ledgerRoute('exchange'));
+app.post('/api/money-exchanger/ledger/capital', authenticateToken, requireActiveAccount, ledgerRoute('capital'));
+
+const MAX_TRANSACTIONS_PAGE_SIZE = 500;
+
+// Builds the Transaction query for a business from the list filters (from, to, party, customer, cashType)
+const buildTransactionFilter = (businessId, query) => {
+    const filter = { business: businessId };
+
+    if (query.from || query.to) {
+        filter.date = {};
+        if (query.from) filter.date.$gte = new Date(query.from);
+        if (query.to) {
+            // A date without a time covers that whole day
+            const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(query.to);
+            filter.date.$lte = new Date(new Date(query.to).getTime() + (isDateOnly ? DAY_MS - 1 : 0));
+        }
+        if (Object.values(filter.date).some(date => isNaN(date))) {
+            throw new ApiError(400, 'Invalid date range');
+        }
+    }
+    // Party and customer each match either side of a transaction; both must hold
+    const sides = [];
+    if (query.party) {
+        sides.push({ $or: [{ payer: query.party }, { receiver: query.party }] });
+    }
+    if (query.customer) {
+        if (!mongoose.isValidObjectId(query.customer)) {
+            throw new ApiError(400, 'Invalid customer');
+        }
+        sides.push({ $or: [{ payerCustomer: query.customer }, { receiverCustomer: query.customer }] });
+    }
+    if (sides.length > 0) {
+        filter.$and = sides;
+    }
+    if (query.cashType) {
+        filter.cashType = query.cashType;
+    }
+
+    return filter;
+};
+
+app.get('/api/money-exchanger/transactions', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const filter = buildTransactionFilter(req.user.userId, req.query);
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(MAX_TRANSACTIONS_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+        const [transactions, total] = await Promise.all([
+            Transaction.find(filter).sort({ date: -1 }).skip((page - 1) * limit).limit(limit),
+            Transaction.countDocuments(filter)
+        ]);
+
+        res.json({ transactions, total, page, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching transactions');
+    }
+});
+
+// Edits reverse the original balance effects and apply the edited ones; the P&L lines
+// are recalculated at the rates in force when the transaction was first recorded
+app.patch('/api/money-exchanger/transactions/:id', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const result = await runLedgerWrite(req.user.userId, parseBookVersion(req), async (user, session) => {
+            const transaction = await Transaction.findOne({ business: user._id, id: req.params.id }).session(session);
+            if (!transaction) {
+                throw new ApiError(404, 'Transaction not found');
+            }
+
+            const data = user.moneyExchangerData;
+            const original = transaction.toObject();
+            const customers = await loadEntryCustomers(user._id, original, session);
+            const fields = editLedgerEntry(original, req.body, createLedgerBook(data, customers));
+            const settlement = await findLaterSettlement(user._id, original, fields, session);
+            if (settlement) {
+                throw new ApiError(400, `A later payment by ${settlement.payer} (${settlement.type}) settled ${settlement.cashType} debt that depends on this transaction. Void that payment before editing this one.`);
+            }
+            fields.pnl = buildProfitLines({ ...original, ...fields }, await findRatesAt(user._id, original.date));
+
+            transaction.set(fields);
+            const revision = {
+                editedAt: new Date(),
+                editedBy: req.user.username,
+                before: snapshotEntry(original),
+                after: snapshotEntry(fields)
+            };
+            transaction.revisions.push(revision);
+            await transaction.save({ session });
+            await recordAudit(req, {
+                business: user._id,
+                action: 'transaction.edit',
+                target: describeTransactionTarget(transaction),
+                before: revision.before,
+                after: revision.after
+            }, session);
+            return { transaction, ...serializeBalances(data) };
+        });
+
+        console.log('Editing transaction:', result.transaction.id, 'for user:', req.user.userId);
+        res.json({ message: 'Transaction updated successfully', ...result });
+    } catch (error) {
+        sendError(res, error, 'Server error updating transaction');
+    }
+});
+
+// Transactions are voided rather than deleted: the original stays in the history with
+// a voided status and a linked reversing entry restores the balances
+app.post('/api/money-exchanger/transactions/:id/void', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({ message: 'Please enter a reason for voiding this transaction' });
+        }
+
+        const result = await runLedgerWrite(req.user.userId, parseBookVersion(req), async (user, session) => {
+            const transaction = await Transaction.findOne({ business: user._id, id: req.params.id }).session(session);
+            if (!transaction) {
+                throw new ApiError(404, 'Transaction not found');
+            }
+
+            const data = user.moneyExchangerData;
+            const entry = voidLedgerEntry(transaction.toObject(), reason, createLedgerBook(data));
+            const [reversal] = await Transaction.create([{ ...entry, business: user._id }], { session });
+
+            transaction.set({
+                status: 'voided',
+                voidedAt: reversal.date,
+                voidedBy: req.user.username,
+                voidReason: reason,
+                reversedBy: reversal.id
+            });
+            await transaction.save({ session });
+            await recordAudit(req, {
+                business: user._id,
+                action: 'transaction.void',
+                target: describeTransactionTarget(transaction),
+                before: { status: 'posted' },
+                after: { status: 'voided', reason, reversalId: reversal.id }
+            }, session);
+            return { transaction, reversal, ...serializeBalances(data) };
+        });
+
+        console.log('Voiding transaction:', result.transaction.id, 'for user:', req.user.userId);
+        res.json({ message: 'Transaction voided successfully', ...result });
+    } catch (error) {
+        sendError(res, error, 'Server error voiding transaction');
+    }
+});
+
+// Revalues a past transaction at the mid-rate that was in force when it happened
+app.get('/api/money-exchanger/transactions/:id/revalue', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const currency = parseCashType(req.query.currency || REPORTING_CURRENCY);
+        const transaction = await Transaction.findOne({ business: req.user.userId, id: req.params.id });
+        if (!transaction) {
+            return res.status(404).json({ message: 'Transaction not found' });
+        }
+
+        const rates = await findRatesAt(req.user.userId, transaction.date);
+        const rate = resolveRate(rates, transaction.cashType, currency);
+        if (!rate) {
+            return res.status(404).json({ message: `No ${transaction.cashType}/${currency} rate was in force on ${transaction.date.toISOString()}` });
+        }
+
+        res.json({
+            transactionId: transaction.id,
+            date: transaction.date,
+            amount: transaction.amount,
+            cashType: transaction.cashType,
+            currency,
+            midRate: rate.midRate,
+            value: roundMoney(transaction.amount * rate.midRate)
+        });
+    } catch (error) {
+        sendError(res, error, 'Server error revaluing transaction');
+    }
+});
+
+// Profit & Loss Routes
+// Sums the P&L lines of a business's transactions in the list filters' range, in USD
+// per `period` and category; lines without a USD rate are summed in their own currency
+const aggregateProfit = async (businessId, query, period) => {
+    const filter = buildTransactionFilter(new mongoose.Types.ObjectId(businessId), query);
+    filter['pnl.0'] = { $exists: true };
+
+    const [result] = await Transaction.aggregate([
+        { $match: filter },
+        { $unwind: '$pnl' },
+        {
+            $facet: {
+                converted: [
+                    { $match: { 'pnl.usdAmount': { $ne: null } } },
+                    { $group: { _id: { period, category: '$pnl.category' }, usd: { $sum: '$pnl.usdAmount' } } }
+                ],
+                unconverted: [
+                    { $match: { 'pnl.usdAmount': null } },
+                    { $group: { _id: { category: '$pnl.category', currency: '$pnl.currency' }, amount: { $sum: '$pnl.amount' } } }
+                ]
+            }
+        }
+    ]);
+    return result;
+};
+
+// Lines recorded while no USD rate was in the rate book, in their own currency
+const serializeUnconverted = (rows) => rows.map(row => ({
+    category: row._id.category,
+    currency: row._id.currency,
+    amount: roundMoney(row.amount)
+}));
+
+// Realized profit in USD: exchange margins and fees minus expenses (General Entry OUT),
+// per day, per month or as a single total for the range
+app.get('/api/money-exchanger/profit', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const groupBy = req.query.groupBy || 'total';
+        const timezone = req.query.timezone || 'UTC';
+
+        if (groupBy !== 'total' && !PROFIT_PERIOD_FORMATS[groupBy]) {
+            return res.status(400).json({ message: 'groupBy must be day, month or total' });
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (e) {
+            return res.status(400).json({ message: 'Invalid timezone' });
+        }
+
+        const period = groupBy === 'total'
+            ? 'total'
+            : { $dateToString: { format: PROFIT_PERIOD_FORMATS[groupBy], date: '$date', timezone } };
+        const result = await aggregateProfit(req.user.userId, req.query, period);
+
+        const periodNames = [...new Set(result.converted.map(row => row._id.period))].sort();
+        const periods = periodNames.map(name => ({
+            period: name,
+            ...summarizeProfit(result.converted.filter(row => row._id.period === name))
+        }));
+
+        res.json({
+            currency: REPORTING_CURRENCY,
+            groupBy,
+            periods,
+            totals: summarizeProfit(result.converted),
+            unconverted: serializeUnconverted(result.unconverted)
+        });
+    } catch (error) {
+        sendError(res, error, 'Server error calculating profit');
+    }
+});
+
+// Balance Integrity Routes
+// Compares the stored balances with the ones rebuilt from the transaction log
+app.get('/api/money-exchanger/integrity', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const { report } = await checkBalanceIntegrity(user);
+        res.json(report);
+    } catch (error) {
+        sendError(res, error, 'Server error checking balances');
+    }
+});
+
+// Overwrites the stored balances with the rebuilt ones. Balances that came from
+// transactions without effects would be lost, so that needs an explicit `force`.
+app.post('/api/money-exchanger/integrity/repair', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const result = await runLedgerWrite(req.user.userId, parseBookVersion(req), async (user, session) => {
+            const { rebuilt, report } = await checkBalanceIntegrity(user, session);
+            if (report.unreplayable > 0 && req.body.force !== true) {
+                throw new ApiError(409, `${report.unreplayable} transactions were recorded before balances were kept on the server and cannot be replayed. Repairing would drop their effect on the balances.`);
+            }
+
+            const data = user.moneyExchangerData;
+            applyRebuiltBalances(data, rebuilt);
+            if (report.discrepancies.length > 0) {
+                await recordAudit(req, {
+                    business: user._id,
+                    action: 'balance.repair',
+                    target: { kind: 'book', id: user._id.toString(), name: user.businessName || user.fullName },
+                    before: report.discrepancies.map(({ partyType, name, currency, stored }) => ({ partyType, name, currency, amount: stored })),
+                    after: report.discrepancies.map(({ partyType, name, currency, expected }) => ({ partyType, name, currency, amount: expected }))
+                }, session);
+            }
+            return { ...report, repaired: report.discrepancies.length, ...serializeBalances(data) };
+        });
+
+        console.log('Repairing balances:', result.repaired, 'discrepancies for user:', req.user.userId);
+        res.json({ message: 'Balances rebuilt from the transaction log', ...result });
+    } catch (error) {
+        sendError(res, error, 'Server error repairing balances');
+    }
+});
+
+// Till Session Routes
+const MAX_TILL_PAGE_SIZE = 100;
+
+const resolveDenominations = (data) => Object.fromEntries(SUPPORTED_CURRENCIES.map(currency => [
+    currency,
+    (data.denominations && data.denominations.get(currency)) || DEFAULT_DENOMINATIONS[currency] || []
+]));
+
+// Number of each note/coin, e.g. { "100": 12, "50": 3 }, checked against the business's denominations
+const parseBreakdown = (currency, counts, denominations) => Object.entries(counts)
+    .filter(([, count]) => count !== '' && count !== null && count !== undefined && Number(count) !== 0)
+    .map(([value, count]) => {
+        if (!denominations.includes(Number(value))) {
+            throw new ApiError(400, `${value} is not a ${currency} denomination`);
+        }
+        if (!Number.isInteger(Number(count)) || Number(count) < 0) {
+            throw new ApiError(400, `Please enter a whole number of ${currency} ${value} notes/coins`);
+        }
+        return { value: Number(value), count: Number(count) };
+    })
+    .sort((a, b) => b.value - a.value);
+
+// Counted cash per currency, either as an amount ({ USD: 1500 }) or by denomination
+// ({ USD: { denominations: { "100": 15 } } }), in which case the breakdown is kept too.
+// Currencies left out were not counted.
+const parseTillCount = (counts, denominations) => {
+    if (!counts || typeof counts !== 'object' || Array.isArray(counts)) {
+        throw new ApiError(400, 'Please enter the counted cash');
+    }
+    const count = new Map();
+    const breakdown = new Map();
+    Object.entries(counts).forEach(([currency, value]) => {
+        if (value === '' || value === null || value === undefined) return;
+        if (!SUPPORTED_CURRENCIES.includes(currency)) {
+            throw new ApiError(400, `Unsupported currency: ${currency}`);
+        }
+        if (typeof value === 'object') {
+            const lines = parseBreakdown(currency, value.denominations || {}, denominations[currency]);
+            breakdown.set(currency, lines);
+            count.set(currency, roundMoney(lines.reduce((total, line) => total + line.value * line.count, 0)));
+            return;
+        }
+        const amount = Number(value);
+        if (!isFinite(amount) || amount < 0) {
+            throw new ApiError(400, `Please enter a valid ${currency} count`);
+        }
+        count.set(currency, roundMoney(amount));
+    });
+    if (count.size === 0) {
+        throw new ApiError(400, 'Please enter the counted cash for at least one currency');
+    }
+    return { count, breakdown };
+};
+
+// Entries that hand physical cash over the counter. Adjustments only correct balances
+// and capital is booked to a partner, so neither changes what is in the drawer.
+const TILL_CASH_KINDS = ['new-person', 'pr', 'full', 'debt', 'in', 'out', 'exchange'];
+
+// Adds up the partners' balance changes per currency from the cash entries. A reversal
+// counts when the entry it voids did, so a voided cash entry and its reversal cancel out.
+// originalKinds maps the id of each voided entry to its kind.
+const sumTillMovement = (transactions, originalKinds) => {
+    const movement = new Map();
+    transactions.forEach(transaction => {
+        const kind = transaction.reversalOf ? originalKinds.get(transaction.reversalOf) : transaction.kind;
+        if (!TILL_CASH_KINDS.includes(kind)) return;
+        transaction.effects.filter(effect => effect.partyType === 'owner').forEach(effect => {
+            movement.set(effect.currency, roundMoney((movement.get(effect.currency) || 0) + effect.amount));
+        });
+    });
+    return movement;
+};
+
+// The cash a session's transactions moved in and out of the drawer
+const summarizeTillMovement = async (businessId, from, to) => {
+    const transactions = await Transaction.find({ business: businessId, date: { $gte: from, $lte: to } })
+        .select('id kind reversalOf effects')
+        .lean();
+    const voidedIds = transactions.filter(transaction => transaction.reversalOf).map(transaction => transaction.reversalOf);
+    const originals = voidedIds.length > 0
+        ? await Transaction.find({ business: businessId, id: { $in: voidedIds } }).select('id kind').lean()
+        : [];
+    return {
+        movement: sumTillMovement(transactions, new Map(originals.map(original => [original.id, original.kind]))),
+        transactions: transactions.length
+    };
+};
+
+// Expected drawer contents and the over/short against a count, per currency
+const reconcileTill = (openingCount, movement, closingCount = new Map()) => {
+    const currencies = new Set([...openingCount.keys(), ...movement.keys(), ...closingCount.keys()]);
+    const expected = new Map();
+    const overShort = new Map();
+    currencies.forEach(currency => {
+        const amount = roundMoney((openingCount.get(currency) || 0) + (movement.get(currency) || 0));
+        expected.set(currency, amount);
+        overShort.set(currency, roundMoney((closingCount.get(currency) || 0) - amount));
+    });
+    return { expected, overShort };
+};
+
+const serializeTillSession = (session) => ({
+    id: session._id.toString(),
+    status: session.status,
+    openedAt: session.openedAt,
+    openedBy: session.openedBy,
+    openingCount: mapToObject(session.openingCount),
+    openingBreakdown: mapToObject(session.openingBreakdown),
+    openingNotes: session.openingNotes,
+    closedAt: session.closedAt,
+    closedBy: session.closedBy,
+    closingCount: mapToObject(session.closingCount),
+    closingBreakdown: mapToObject(session.closingBreakdown),
+    closingNotes: session.closingNotes,
+    movement: mapToObject(session.movement),
+    expected: mapToObject(session.expected),
+    overShort: mapToObject(session.overShort),
+    transactions: session.transactions
+});
+
+const describeTillTarget = (session) => ({ kind: 'till', id: session._id.toString(), name: session.openedAt.toISOString() });
+
+// The open session (with what should be in the drawer so far) and past sessions, newest first
+app.get('/api/money-exchanger/till', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(MAX_TILL_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 30));
+        const closedFilter = { business: req.user.userId, status: 'closed' };
+
+        const [open, history, total] = await Promise.all([
+            TillSession.findOne({ business: req.user.userId, status: 'open' }),
+            TillSession.find(closedFilter).sort({ openedAt: -1 }).skip((page - 1) * limit).limit(limit),
+            TillSession.countDocuments(closedFilter)
+        ]);
+
+        let current = null;
+        if (open) {
+            const { movement, transactions } = await summarizeTillMovement(req.user.userId, open.openedAt, new Date());
+            const { expected } = reconcileTill(open.openingCount, movement);
+            current = { ...serializeTillSession(open), movement: mapToObject(movement), expected: mapToObject(expected), transactions };
+        }
+
+        res.json({ current, history: history.map(serializeTillSession), total, page, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching till sessions');
+    }
+});
+
+app.post('/api/money-exchanger/till/open', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        const { count: openingCount, breakdown } = parseTillCount(req.body.counts, resolveDenominations(user.moneyExchangerData));
+        if (await TillSession.exists({ business: req.user.userId, status: 'open' })) {
+            throw new ApiError(400, 'The till is already open. Close the current session first.');
+        }
+
+        const session = await TillSession.create({
+            business: req.user.userId,
+            openedAt: new Date(),
+            openedBy: req.user.username,
+            openingCount,
+            openingBreakdown: breakdown,
+            openingNotes: typeof req.body.notes === 'string' ? req.body.notes.trim() : undefined
+        });
+        await recordAudit(req, {
+            business: req.user.userId,
+            action: 'till.open',
+            target: describeTillTarget(session),
+            after: { openingCount: mapToObject(openingCount), openingBreakdown: mapToObject(breakdown) }
+        });
+
+        res.status(201).json({ message: 'Till opened', session: serializeTillSession(session) });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'The till is already open. Close the current session first.' });
+        }
+        sendError(res, error, 'Server error opening till');
+    }
+});
+
+// Closes the open session with the physical count. The expected amounts come from the
+// transactions recorded while the session was open.
+app.post('/api/money-exchanger/till/close', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        const { count: closingCount, breakdown } = parseTillCount(req.body.counts, resolveDenominations(user.moneyExchangerData));
+        const open = await TillSession.findOne({ business: req.user.userId, status: 'open' });
+        if (!open) {
+            throw new ApiError(400, 'The till is not open');
+        }
+
+        const closedAt = new Date();
+        const { movement, transactions } = await summarizeTillMovement(req.user.userId, open.openedAt, closedAt);
+        const { expected, overShort } = reconcileTill(open.openingCount, movement, closingCount);
+
+        // Only an open session is updated, so a session cannot be closed twice
+        const closed = await TillSession.findOneAndUpdate({ _id: open._id, status: 'open' }, {
+            $set: {
+                status: 'closed',
+                closedAt,
+                closedBy: req.user.username,
+                closingCount: mapToObject(closingCount),
+                closingBreakdown: mapToObject(breakdown),
+                closingNotes: typeof req.body.notes === 'string' ? req.body.notes.trim() : undefined,
+                movement: mapToObject(movement),
+                expected: mapToObject(expected),
+                overShort: mapToObject(overShort),
+                transactions
+            }
+        }, { new: true });
+        if (!closed) {
+            throw new ApiError(409, 'This till session was already closed');
+        }
+        await recordAudit(req, {
+            business: req.user.userId,
+            action: 'till.close',
+            target: describeTillTarget(closed),
+            after: {
+                closingCount: mapToObject(closingCount),
+                closingBreakdown: mapToObject(breakdown),
+                expected: mapToObject(expected),
+                overShort: mapToObject(overShort)
+            }
+        });
+
+        res.json({ message: 'Till closed', session: serializeTillSession(closed) });
+    } catch (error) {
+        sendError(res, error, 'Server error closing till');
+    }
+});
+
+// The note and coin values each currency is counted in
+app.get('/api/money-exchanger/denominations', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        res.json({ denominations: resolveDenominations(user.moneyExchangerData) });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching denominations');
+    }
+});
+
+// Sets the denominations of one currency; an empty list restores the defaults
+app.put('/api/money-exchanger/denominations/:currency', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const { currency } = req.params;
+        if (!SUPPORTED_CURRENCIES.includes(currency)) {
+            throw new ApiError(400, `Unsupported currency: ${currency}`);
+        }
+        const values = (Array.isArray(req.body.values) ? req.body.values : String(req.body.values || '').split(','))
+            .filter(value => String(value).trim() !== '')
+            .map(Number);
+        if (values.some(value => !isFinite(value) || value <= 0)) {
+            throw new ApiError(400, 'Denominations must be positive amounts');
+        }
+
+        const result = await runLedgerWrite(req.user.userId, parseBookVersion(req), async (user, session) => {
+            const data = user.moneyExchangerData;
+            const before = resolveDenominations(data)[currency];
+            if (values.length > 0) {
+                data.denominations.set(currency, [...new Set(values)].sort((a, b) => b - a));
+            } else {
+                data.denominations.delete(currency);
+            }
+
+            const denominations = resolveDenominations(data);
+            await recordAudit(req, {
+                business: user._id,
+                action: 'till.denominations',
+                target: { kind: 'denominations', id: currency, name: currency },
+                before: { [currency]: before },
+                after: { [currency]: denominations[currency] }
+            }, session);
+            return { denominations, version: data.version };
+        });
+        res.json({ message: `${currency} denominations saved`, ...result });
+    } catch (error) {
+        sendError(res, error, 'Server error saving denominations');
+    }
+});
+
+// Audit Log Routes
+const MAX_AUDIT_PAGE_SIZE = 200;
+
+// Pages through audit events matching `filter` plus the viewer's filters (action, actor, target, from, to)
+const listAuditEvents = async (res, filter, query) => {
+    if (query.action) {
+        filter.action = query.action;
+    }
+    if (query.actor) {
+        filter['actor.username'] = query.actor;
+    }
+    if (query.target) {
+        filter['target.id'] = query.target;
+    }
+    if (query.from || query.to) {
+        filter.createdAt = {};
+        if (query.from) filter.createdAt.$gte = new Date(query.from);
+        if (query.to) filter.createdAt.$lte = new Date(query.to);
+        if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+            throw new ApiError(400, 'Invalid date range');
+        }
+    }
+
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_AUDIT_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || 50));
+    const [events, total] = await Promise.all([
+        AuditEvent.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        AuditEvent.countDocuments(filter)
+    ]);
+
+    res.json({ events, total, page, pages: Math.ceil(total / limit), actions: AUDIT_ACTIONS });
+};
+
+// A business's own history, including status changes made by the platform owner
+app.get('/api/money-exchanger/audit', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        await listAuditEvents(res, { business: req.user.userId }, req.query);
+    } catch (error) {
+        sendError(res, error, 'Server error fetching audit log');
+    }
+});
+
+// Rate Book Routes
+app.get('/api/money-exchanger/rates', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const at = req.query.at ? new Date(req.query.at) : new Date();
+        if (isNaN(at)) {
+            return res.status(400).json({ message: 'Invalid date' });
+        }
+
+        const rates = await findRatesAt(req.user.userId, at);
+        res.json({ currencies: SUPPORTED_CURRENCIES, at, rates });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching exchange rates');
+    }
+});
+
+app.get('/api/money-exchanger/rates/history', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const filter = { business: req.user.userId };
+        if (req.query.base) filter.base = req.query.base;
+        if (req.query.quote) filter.quote = req.query.quote;
+
+        const history = await ExchangeRate.find(filter).sort({ effectiveAt: -1 });
+        res.json(history);
+    } catch (error) {
+        sendError(res, error, 'Server error fetching rate history');
+    }
+});
+
+// Pre-fill values for the exchange form: the rate applied and the reference mid-rate
+app.get('/api/money-exchanger/rates/quote', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const from = parseCashType(req.query.from);
+        const to = parseCashType(req.query.to);
+        const rates = await findRatesAt(req.user.userId);
+        const rate = resolveRate(rates, from, to);
+
+        // A missing rate is not an error here; the cashier can still type the rates in
+        res.json({ from, to, rate: rate ? rate.rate : null, midRate: rate ? rate.midRate : null });
+    } catch (error) {
+        sendError(res, error, 'Server error fetching exchange rate');
+    }
+});
+
+app.post('/api/money-exchanger/rates', authenticateToken, requireActiveAccount, async (req, res) => {
+    try {
+        const base = parseCashType(req.body.base);
+        const quote = parseCashType(req.body.quote);
+        const buy = parseRate(req.body.buy, 'buy rate');
+        const sell = parseRate(req.body.sell, 'sell rate');
+        const effectiveAt = req.body.effectiveAt ? new Date(req.body.effectiveAt) : new Date();
+
+        if (base === quote) {
+            return res.status(400).json({ message: 'Base and quote currency must be different' });
+        }
+        if (buy > sell) {
+            return res.status(400).json({ message: 'Buy rate cannot be higher than sell rate' });
+        }
+        if (isNaN(effectiveAt)) {
+            return res.status(400).json({ message: 'Invalid effective date' });
+        }
+
+        const rate = await ExchangeRate.create({
+            business: req.user.userId,
+            base,
+            quote,
+            buy,
+            sell,
+            effectiveAt,
+            createdBy: req.user.username
+        });
+
+        res.status(201).json({ message: 'Exchange rate saved successfully', rate });
+    } catch (error) {
+        sendError(res, error, 'Server error saving exchange rate');
     }
 });
 